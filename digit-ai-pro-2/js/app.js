@@ -7,11 +7,16 @@
  * Boot order:
  *   ThemeManager → CanvasManager → ResultsUI
  *   → NetworkRenderer → bind events → ready
+ *   → restore saved model (if any)
  *
  * Predict flow:
  *   click → showThinking → preprocess
  *   → model.predict → model.getActivations
  *   → animateNetwork → showResults
+ *   (several digits: segment → predict each → showNumber + boxes)
+ *
+ * Live mode: canvas stroke events → throttled
+ *   preprocess → model.predict → showLive (no network replay)
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -20,18 +25,37 @@ document.addEventListener('DOMContentLoaded', () => {
 
   ThemeManager.init();
   CanvasManager.init('drawCanvas');
+  TrainChart.init('trainChart', 'trainChartReadout');
   ResultsUI.buildBars();
+  ResultsUI.buildCorrection();
+  ResultsUI.buildExplain({ ...MnistModel.EXPLAIN_METHODS, occlusion: 'Occlusion' });
   ResultsUI.reset();
+  EvalUI.init(_inspectSample);
+  EvalUI.reset();
+  InspectorUI.init();
+  FilterUI.init();
   ResultsUI.setStatus('', 'Not trained');
 
   // Init network after layout is painted
   requestAnimationFrame(() => {
-    NetworkRenderer.init('netCanvas');
+    NetworkRenderer.init('netCanvas', 'netTooltip');
   });
 
   // Wait for TF.js
-  tf.ready().then(() => {
-    ResultsUI.setStatus('', 'Ready to train');
+  tf.ready().then(async () => {
+    _showLayers(Architectures.describe(archSelect.value));
+    ResultsUI.setStatus('amber', 'Loading saved model…');
+    const meta = await MnistModel.restore();
+    if (meta) {
+      if (meta.config && Architectures.has(meta.config.architecture)) {
+        archSelect.value = meta.config.architecture;
+      }
+      _onModelReady(meta.accuracy);
+      ResultsUI.setSavedModel(meta);
+    } else {
+      ResultsUI.setStatus('', 'Ready to train');
+    }
+    await _refreshSamples();
   }).catch(err => {
     ResultsUI.setStatus('rose', 'TF.js failed');
     console.error(err);
@@ -47,7 +71,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.body.classList.add('network-open');
     networkToggle.setAttribute('aria-expanded', 'true');
     // Re-layout network canvas after panel animates in
-    setTimeout(() => NetworkRenderer.init('netCanvas'), 300);
+    setTimeout(() => NetworkRenderer.init('netCanvas', 'netTooltip'), 300);
   }
 
   function closeNetwork() {
@@ -69,27 +93,55 @@ document.addEventListener('DOMContentLoaded', () => {
   const trainBtn = document.getElementById('trainBtn');
 
   trainBtn.addEventListener('click', async () => {
+    let source;
+    try {
+      source = _dataSource();
+    } catch (err) {
+      ResultsUI.setStatus('rose', err.message);
+      return;
+    }
+    MnistModel.setDataSource(source);
+
+    const options = _trainOptions();
+    if (!options) return;
+
     trainBtn.disabled = true;
     trainBtn.textContent = '⏳ Training…';
-    ResultsUI.setProgress(0, 0, 5, null, null);
+
+    // Set by onStart from the config the model actually resolved
+    let total = 0;
 
     await MnistModel.train({
+      onStart: (config) => {
+        total = config.epochs;
+        ResultsUI.setProgress(0, 0, total, null, null);
+        document.getElementById('trainChartWrap').hidden = false;
+        TrainChart.reset(total);
+      },
+      onStateChange: _onTrainState,
       onDataProgress: (msg, pct) => {
         ResultsUI.setStatus('amber', msg);
-        ResultsUI.setProgress(Math.round(pct * 0.5), 0, 5, null, null);
+        ResultsUI.setProgress(Math.round(pct * 0.5), 0, total, null, null);
+      },
+      onBatch: (ep, batch, steps, loss, acc) => {
+        TrainChart.addBatch(ep, batch, steps, loss, acc);
       },
-      onEpoch: (ep, total, acc, loss, valAcc) => {
+      onEpoch: (ep, total, acc, loss, valAcc, valLoss) => {
         const pct = 50 + Math.round((ep / total) * 50);
         ResultsUI.setStatus('amber', `Epoch ${ep}/${total} — ${(valAcc * 100).toFixed(1)}%`);
         ResultsUI.setProgress(pct, ep, total, acc, loss);
+        TrainChart.addEpoch(ep, valAcc, valLoss);
       },
-      onDone: (finalAcc) => {
-        const ap = Math.round(finalAcc * 100);
-        ResultsUI.setStatus('green', `Ready · ${ap}% accuracy`);
-        ResultsUI.setProgress(100, 5, 5, finalAcc, null);
-        trainBtn.textContent = `✓ Trained  (${ap}%)`;
-        trainBtn.disabled    = false;
-        document.getElementById('predictBtn').disabled = false;
+      onDone: (finalAcc, config, epochsRun) => {
+        const stopped = epochsRun < config.epochs;
+        const pct     = stopped ? 50 + Math.round((epochsRun / config.epochs) * 50) : 100;
+        ResultsUI.setProgress(pct, epochsRun, config.epochs, finalAcc, null);
+        _onModelReady(finalAcc);
+        if (stopped) {
+          ResultsUI.setStatus('green',
+            `Stopped at epoch ${epochsRun}/${config.epochs} · ${Math.round(finalAcc * 100)}% accuracy`);
+        }
+        ResultsUI.setSavedModel(MnistModel.getSavedMeta());
       },
       onError: (err) => {
         ResultsUI.setStatus('rose', 'Training failed');
@@ -97,9 +149,520 @@ document.addEventListener('DOMContentLoaded', () => {
         trainBtn.disabled    = false;
         console.error(err);
       },
+    }, options);
+  });
+
+  /* ── Pause / Resume / Stop ─────────────── */
+
+  const pauseBtn = document.getElementById('pauseBtn');
+  const stopBtn  = document.getElementById('stopBtn');
+
+  pauseBtn.addEventListener('click', () => {
+    if (MnistModel.getTrainingState() === 'paused') {
+      MnistModel.resume();
+    } else {
+      pauseBtn.disabled = MnistModel.pause();
+    }
+  });
+
+  stopBtn.addEventListener('click', () => {
+    if (MnistModel.stop()) {
+      stopBtn.disabled  = true;
+      pauseBtn.disabled = true;
+      ResultsUI.setStatus('amber', 'Stopping…');
+    }
+  });
+
+  function _onTrainState(state) {
+    const active = state !== 'idle';
+    pauseBtn.hidden = stopBtn.hidden = !active;
+    pauseBtn.disabled = state !== 'training' && state !== 'paused';
+    stopBtn.disabled  = state === 'loading';
+    pauseBtn.textContent = state === 'paused' ? '▶ Resume' : '❚❚ Pause';
+    trainBtn.hidden   = active;
+    // The worker is busy — evaluate once the run ends
+    document.getElementById('evalBtn').disabled = active || !MnistModel.isReady();
+
+    if (state === 'training') ResultsUI.setStatus('amber', 'Training…');
+    if (state === 'paused')   ResultsUI.setStatus('amber', 'Paused — resume, or stop to keep this model');
+  }
+
+  /* ── Training settings ─────────────────── */
+
+  const configInputs = document.querySelectorAll('[data-config]');
+
+  configInputs.forEach(input => {
+    const key    = input.dataset.config;
+    const limits = MnistModel.CONFIG_LIMITS[key];
+    input.min   = limits.min;
+    input.max   = limits.max;
+    input.step  = limits.int ? 1 : 'any';
+    input.value = MnistModel.DEFAULT_CONFIG[key];
+    input.addEventListener('input', () => input.classList.remove('is-invalid'));
+  });
+
+  const augmentInputs = document.querySelectorAll('[data-augment]');
+
+  augmentInputs.forEach(input => {
+    const out = document.querySelector(`[data-augment-value="${input.dataset.augment}"]`);
+    const show = () => {
+      const v = Number(input.value);
+      out.textContent = v > 0 ? `${Math.round(v * 100)}%` : 'off';
+    };
+    input.addEventListener('input', show);
+    show();
+  });
+
+  // Preprocessing options apply to every prediction, and are remembered
+  const PREPROCESS_KEY   = 'digit-ai:preprocess';
+  const preprocessInputs = document.querySelectorAll('[data-preprocess]');
+
+  try {
+    Preprocessor.setOptions(JSON.parse(localStorage.getItem(PREPROCESS_KEY)) || {});
+  } catch { /* keep the defaults */ }
+
+  preprocessInputs.forEach(input => {
+    input.checked = Preprocessor.getOptions()[input.dataset.preprocess];
+    input.addEventListener('change', () => {
+      Preprocessor.setOptions({ [input.dataset.preprocess]: input.checked });
+      localStorage.setItem(PREPROCESS_KEY, JSON.stringify(Preprocessor.getOptions()));
     });
   });
 
+  ResultsUI.setProgress(0, 0, MnistModel.DEFAULT_CONFIG.epochs, null, null);
+
+  /**
+   * Read + validate the settings inputs.
+   * Marks invalid fields and returns null if any are wrong.
+   */
+  function _trainOptions() {
+    const raw = {};
+    configInputs.forEach(input => { raw[input.dataset.config] = input.value; });
+    raw.architecture = archSelect.value;
+    raw.augment = {};
+    augmentInputs.forEach(input => { raw.augment[input.dataset.augment] = input.value; });
+
+    const { config, errors } = MnistModel.validateConfig(raw);
+    configInputs.forEach(input => {
+      input.classList.toggle('is-invalid', input.dataset.config in errors);
+    });
+
+    const firstError = Object.values(errors)[0];
+    if (firstError) {
+      document.getElementById('trainSettings').open = true;
+      ResultsUI.setStatus('rose', firstError);
+      return null;
+    }
+    return config;
+  }
+
+  /* ── Architecture ──────────────────────── */
+
+  const archSelect = document.getElementById('archSelect');
+
+  Architectures.list().forEach(({ key, label }) => {
+    archSelect.add(new Option(label, key, false, key === Architectures.DEFAULT));
+  });
+
+  // Preview the chosen layout until a trained model takes over
+  archSelect.addEventListener('change', () => {
+    if (!MnistModel.isReady()) _showLayers(Architectures.describe(archSelect.value));
+  });
+
+  /** Point the renderer + panel subtitle at a layer list. */
+  function _showLayers(layers) {
+    NetworkRenderer.setLayers(layers);
+    const sub = document.getElementById('netSub');
+    sub.textContent = Architectures.summary(layers);
+    sub.title = layers.map(l =>
+      [l.kind, l.shape.join('×'), l.detail, l.activation].filter(Boolean).join(' ')).join('\n');
+  }
+
+  /* ── Data source ───────────────────────── */
+
+  const dataSource = document.getElementById('dataSource');
+  const dataFiles  = document.getElementById('dataFiles');
+
+  dataSource.addEventListener('change', () => {
+    document.getElementById('sourceUrlFields').hidden  = dataSource.value !== 'url';
+    document.getElementById('sourceFileFields').hidden = dataSource.value !== 'files';
+  });
+
+  document.getElementById('dataFilesBtn')
+    .addEventListener('click', () => dataFiles.click());
+
+  dataFiles.addEventListener('change', () => {
+    const names = Array.from(dataFiles.files).map(f => f.name);
+    document.getElementById('dataFilesText').textContent =
+      names.length ? names.join(', ') : 'PNG sprite + label blob, or IDX (.gz ok)';
+  });
+
+  /**
+   * Read the data source picker.
+   * @returns {Object|null}  null = default CDN
+   * @throws if the chosen source is incomplete
+   */
+  function _dataSource() {
+    if (dataSource.value === 'url') {
+      const imagesUrl = document.getElementById('imagesUrl').value.trim();
+      const labelsUrl = document.getElementById('labelsUrl').value.trim();
+      if (!imagesUrl || !labelsUrl) throw new Error('Enter both data URLs');
+      return { kind: 'url', imagesUrl, labelsUrl };
+    }
+    if (dataSource.value === 'files') {
+      if (dataFiles.files.length < 2) throw new Error('Choose image + label files');
+      return { kind: 'files', files: Array.from(dataFiles.files) };
+    }
+    return null;
+  }
+
+  /* acc may be null for imported models that carry no metadata */
+  function _onModelReady(acc) {
+    _showLayers(MnistModel.getLayerInfo());
+    NetworkRenderer.setWeights(MnistModel.getWeights());
+    FilterUI.reset();
+    if (acc !== null) {
+      const ap = Math.round(acc * 100);
+      ResultsUI.setStatus('green', `Ready · ${ap}% accuracy`);
+      trainBtn.textContent = `✓ Trained  (${ap}%)`;
+    } else {
+      ResultsUI.setStatus('green', 'Ready · imported model');
+      trainBtn.textContent = '↻ Retrain';
+    }
+    trainBtn.disabled    = false;
+    document.getElementById('predictBtn').disabled = false;
+    document.getElementById('exportBtn').disabled  = false;
+    document.getElementById('evalBtn').disabled    = false;
+    EvalUI.reset();
+    _refreshSamples();
+
+    // Grad-CAM needs a conv layer to look at
+    const hasConv = MnistModel.getLayerInfo().some(l => l.kind === 'conv');
+    const gradcam = explainMethod.querySelector('option[value="gradcam"]');
+    if (gradcam) gradcam.disabled = !hasConv;
+    if (!hasConv && explainMethod.value === 'gradcam') explainMethod.value = 'gradient';
+  }
+
+  /* ── Evaluate ──────────────────────────── */
+
+  const evalBtn = document.getElementById('evalBtn');
+
+  evalBtn.addEventListener('click', async () => {
+    let source;
+    try {
+      source = _dataSource();
+    } catch (err) {
+      EvalUI.setStatus(err.message);
+      return;
+    }
+    MnistModel.setDataSource(source);
+
+    const trainLocked = trainBtn.disabled;
+    evalBtn.disabled    = true;
+    evalBtn.textContent = '⏳ Evaluating…';
+    trainBtn.disabled   = true;   // the worker is busy
+    try {
+      const result = await MnistModel.evaluate({
+        onProgress: (msg, pct) => EvalUI.setStatus(`${msg} ${Math.round(pct)}%`),
+      });
+      EvalUI.show(result);
+    } catch (err) {
+      EvalUI.setStatus(`Failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      evalBtn.disabled    = trainBtn.hidden;
+      evalBtn.textContent = '▶ Evaluate on test set';
+      trainBtn.disabled   = trainLocked;
+    }
+  });
+
+  // Gallery click: put the test image on the canvas and run it as if drawn
+  function _inspectSample(canvas28) {
+    CanvasManager.drawImage(canvas28);
+    _refreshTools();
+    _hideImagePreview();
+    CanvasManager.getCanvas().scrollIntoView({ behavior: 'smooth', block: 'center' });
+    runPredict();
+  }
+
+  /* ── Corrections + fine-tuning ─────────── */
+
+  // Preprocessed pixels (+ strokes) of the last prediction, until labelled
+  let _lastSample = null;
+
+  const fineTuneBtn = document.getElementById('fineTuneBtn');
+
+  document.getElementById('correctionDigits')
+    .addEventListener('click', async e => {
+      const btn = e.target.closest('.correction__digit');
+      if (!btn || !_lastSample) return;
+
+      const digit = +btn.dataset.digit;
+      const { pixels, strokes } = _lastSample;
+      _lastSample = null;
+      ResultsUI.markCorrection(digit);
+      try {
+        await UserSamples.add(pixels, digit, strokes);
+        await _refreshSamples(`Saved as ${digit}`);
+      } catch (err) {
+        ResultsUI.setCorrectionStatus(`Could not save: ${err.message}`);
+        console.error(err);
+      }
+    });
+
+  fineTuneBtn.addEventListener('click', async () => {
+    let source;
+    try {
+      source = _dataSource();
+    } catch (err) {
+      ResultsUI.setCorrectionStatus(err.message);
+      return;
+    }
+    MnistModel.setDataSource(source);
+
+    const trainLocked = trainBtn.disabled;
+    fineTuneBtn.disabled = true;
+    trainBtn.disabled    = true;   // the worker is busy
+    try {
+      const samples = await UserSamples.all();
+      const { before, after, n } = await MnistModel.fineTune(samples, {
+        onProgress: (msg, pct) => ResultsUI.setCorrectionStatus(`${msg} ${Math.round(pct)}%`),
+      });
+      ResultsUI.showFineTune(before, after, n);
+      NetworkRenderer.setWeights(MnistModel.getWeights());
+      ResultsUI.setSavedModel(MnistModel.getSavedMeta());
+      EvalUI.reset();
+      await _refreshSamples('Model updated');
+    } catch (err) {
+      ResultsUI.setCorrectionStatus(`Fine-tune failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      fineTuneBtn.disabled = !MnistModel.isReady();
+      trainBtn.disabled    = trainLocked;
+    }
+  });
+
+  /** The canvas strokes, if they are the whole drawing (no image underneath). */
+  function _drawnStrokes() {
+    return CanvasManager.hasImage ? null : CanvasManager.toJSON();
+  }
+
+  /** Reload the saved samples into the dataset panel + correction row. */
+  async function _refreshSamples(prefix) {
+    let samples = [];
+    try {
+      samples = await UserSamples.all();
+    } catch (err) {
+      console.warn('Saved samples unavailable:', err);
+    }
+    DatasetUI.show(samples);
+
+    const n     = samples.length;
+    const count = n ? `${n} sample${n === 1 ? '' : 's'} saved` : 'No samples yet';
+    const text  = prefix ? `${prefix} · ${count}` : count;
+    ResultsUI.setCorrectionStatus(text);
+    if (prefix) DatasetUI.setStatus(text);
+    fineTuneBtn.disabled = !n || !MnistModel.isReady();
+    compareBtn.disabled  = !n || !MnistModel.isReady();
+  }
+
+  /* ── My dataset ──────────────────────────── */
+
+  const collectToggle = document.getElementById('collectToggle');
+  const collectLabel  = document.getElementById('collectLabel');
+
+  collectLabel.innerHTML = Array.from({ length: 10 }, (_, d) =>
+    `<option value="${d}">${d}</option>`).join('');
+
+  collectToggle.addEventListener('change', () => {
+    document.getElementById('collectControls').hidden = !collectToggle.checked;
+    document.getElementById('collectHint').hidden     = !collectToggle.checked;
+  });
+
+  document.getElementById('collectSaveBtn')
+    .addEventListener('click', () => _collect(+collectLabel.value));
+
+  // Save the current drawing under `label` and clear for the next one
+  async function _collect(label) {
+    if (!CanvasManager.hasDrawn || Preprocessor.isEmpty(CanvasManager.getCanvas())) {
+      DatasetUI.setStatus('Draw a digit first');
+      return;
+    }
+    const pixels = Preprocessor.toPixels(Preprocessor.prepare(CanvasManager.getCanvas()));
+    try {
+      await UserSamples.add(pixels, label, _drawnStrokes());
+      collectLabel.value = label;
+      _reset();
+      await _refreshSamples(`Saved as ${label}`);
+    } catch (err) {
+      DatasetUI.setStatus(`Could not save: ${err.message}`);
+      console.error(err);
+    }
+  }
+
+  DatasetUI.init({
+    onDelete:  (id)        => _editSamples(() => UserSamples.remove(id)),
+    onRelabel: (id, label) => _editSamples(() => UserSamples.relabel(id, label)),
+  });
+
+  async function _editSamples(fn) {
+    let error = null;
+    try {
+      await fn();
+    } catch (err) {
+      error = err;
+      console.error(err);
+    }
+    await _refreshSamples();
+    if (error) DatasetUI.setStatus(error.message);
+  }
+
+  const datasetImportInput = document.getElementById('datasetImportInput');
+
+  document.getElementById('datasetExportBtn')
+    .addEventListener('click', () => {
+      UserSamples.exportBundle(document.getElementById('datasetFormat').value).catch(err => {
+        DatasetUI.setStatus(`Export failed: ${err.message}`);
+        console.error(err);
+      });
+    });
+
+  document.getElementById('datasetImportBtn')
+    .addEventListener('click', () => datasetImportInput.click());
+
+  datasetImportInput.addEventListener('change', async () => {
+    const files = datasetImportInput.files;
+    if (!files.length) return;
+    DatasetUI.setStatus('Importing…');
+    try {
+      const n = await UserSamples.importBundle(files);
+      await _refreshSamples(`Imported ${n}`);
+    } catch (err) {
+      DatasetUI.setStatus(`Import failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      datasetImportInput.value = '';
+    }
+  });
+
+  // Each option alone, then all together, against plain bounding-box framing
+  const COMPARE_SETS = [
+    { name: 'Baseline',       opts: {} },
+    { name: 'Centre of mass', opts: { centerMass: true } },
+    { name: 'Deskew',         opts: { deskew: true } },
+    { name: 'Stroke width',   opts: { strokeWidth: true } },
+    { name: 'All three',      opts: { centerMass: true, deskew: true, strokeWidth: true } },
+  ];
+
+  const compareBtn = document.getElementById('datasetCompareBtn');
+
+  compareBtn.addEventListener('click', async () => {
+    compareBtn.disabled = true;
+    try {
+      await _comparePreprocessing();
+    } catch (err) {
+      DatasetUI.setStatus(`Comparison failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      compareBtn.disabled = !MnistModel.isReady();
+    }
+  });
+
+  /**
+   * Re-run every saved sample through each COMPARE_SETS option
+   * and count how many the model gets right. Samples saved with
+   * strokes are redrawn at full size; older ones start from
+   * their 28×28 pixels.
+   */
+  async function _comparePreprocessing() {
+    const samples = await UserSamples.all();
+    if (!samples.length) {
+      DatasetUI.setStatus('Save some samples first');
+      return;
+    }
+
+    const sources = samples.map(_sampleCanvas);
+    const total   = samples.length * COMPARE_SETS.length;
+    let done = 0;
+
+    const rows = [];
+    for (const { name, opts } of COMPARE_SETS) {
+      let correct = 0;
+      for (let i = 0; i < samples.length; i++) {
+        const { digit } = MnistModel.predict(Preprocessor.prepare(sources[i], opts));
+        if (digit === samples[i].label) correct++;
+        if (++done % 25 === 0) {
+          DatasetUI.setStatus(`Comparing… ${Math.round(done / total * 100)}%`);
+          await _sleep(0);
+        }
+      }
+      rows.push({ name, correct, n: samples.length });
+    }
+
+    DatasetUI.showComparison(rows);
+    const drawn = samples.filter(s => s.strokes).length;
+    DatasetUI.setStatus(`Compared on ${samples.length} samples`
+      + (drawn < samples.length ? ` (${samples.length - drawn} from 28×28 pixels only)` : ''));
+  }
+
+  function _sampleCanvas(sample) {
+    const canvas = document.createElement('canvas');
+    if (sample.strokes) {
+      canvas.width  = sample.strokes.width;
+      canvas.height = sample.strokes.height;
+      CanvasManager.render(sample.strokes, canvas);
+      return canvas;
+    }
+    canvas.width = canvas.height = 28;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(28, 28);
+    sample.pixels.forEach((v, i) => {
+      img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = v;
+      img.data[i * 4 + 3] = 255;
+    });
+    ctx.putImageData(img, 0, 0);
+    return canvas;
+  }
+
+  /* ── Saved model ───────────────────────── */
+
+  document.getElementById('forgetBtn')
+    .addEventListener('click', async () => {
+      await MnistModel.forget();
+      ResultsUI.setSavedModel(null);
+    });
+
+  /* ── Export / Import ───────────────────── */
+
+  const importInput = document.getElementById('importInput');
+
+  document.getElementById('exportBtn')
+    .addEventListener('click', () => {
+      MnistModel.exportModel().catch(err => {
+        ResultsUI.setStatus('rose', 'Export failed');
+        console.error(err);
+      });
+    });
+
+  document.getElementById('importBtn')
+    .addEventListener('click', () => importInput.click());
+
+  importInput.addEventListener('change', async () => {
+    const files = importInput.files;
+    if (!files.length) return;
+    ResultsUI.setStatus('amber', 'Importing model…');
+    try {
+      const meta = await MnistModel.importModel(files);
+      ResultsUI.setSavedModel(meta);
+      _onModelReady(meta.accuracy);
+    } catch (err) {
+      ResultsUI.setStatus('rose', `Import failed: ${err.message}`);
+      console.error(err);
+    } finally {
+      importInput.value = '';
+    }
+  });
+
   /* ── Predict ───────────────────────────── */
 
   document.getElementById('predictBtn')
@@ -117,19 +680,32 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 1. Thinking state
     ResultsUI.showThinking();
+    ResultsUI.showCorrection(null);
+    _hideExplain();
     NetworkRenderer.reset();
     ResultsUI.setStatus('cyan', 'Running inference…');
 
     await _sleep(180);
 
+    // Several digits side by side? Read them one by one
+    const segments = Preprocessor.segment(CanvasManager.getCanvas(), undefined, _keepSplit);
+    if (segments.length > 1) {
+      _predictNumber(segments);
+      return;
+    }
+
     // 2. Preprocess
-    const canvas28 = Preprocessor.prepare(CanvasManager.getCanvas());
+    const stages   = Preprocessor.inspect(CanvasManager.getCanvas());
+    const canvas28 = stages.canvas28;
+    InspectorUI.show(CanvasManager.getCanvas(), stages);
 
     // 3. Predict + activations
     let result, activations;
     try {
       result      = MnistModel.predict(canvas28);
       activations = MnistModel.getActivations(canvas28);
+      FilterUI.show(MnistModel.getFeatureMaps(canvas28));
+      _lastSample = { pixels: Preprocessor.toPixels(canvas28), strokes: _drawnStrokes() };
     } catch (err) {
       ResultsUI.setStatus('rose', 'Prediction error');
       ResultsUI.showError('Error: ' + err.message);
@@ -144,12 +720,364 @@ document.addEventListener('DOMContentLoaded', () => {
     NetworkRenderer.animate(renderData, () => {
       setTimeout(() => {
         ResultsUI.showResults(result);
+        ResultsUI.showCorrection(result.digit);
+        _offerExplain(canvas28, stages, result.digit);
         ResultsUI.setStatus('green',
           `Predicted: ${result.digit}  (${result.top5[0].pct}%)`);
       }, 150);
     });
   }
 
+  // A wide 0 or a flat 7 has a thin middle too: keep a cut only
+  // if every piece reads more confidently than the blob did
+  function _keepSplit(whole, pieces) {
+    const confidence = stages => MnistModel.predict(stages.canvas28).top5[0].prob;
+    return Math.min(...pieces.map(confidence)) > confidence(whole);
+  }
+
+  /* ── Stroke tools ─────────────────────── */
+
+  const undoBtn   = document.getElementById('undoBtn');
+  const redoBtn   = document.getElementById('redoBtn');
+  const eraserBtn = document.getElementById('eraserBtn');
+  const replayBtn = document.getElementById('replayBtn');
+
+  CanvasManager.on('strokeend', _refreshTools);
+  CanvasManager.on('change',    _refreshTools);
+
+  undoBtn.addEventListener('click', _undo);
+  redoBtn.addEventListener('click', _redo);
+  eraserBtn.addEventListener('click', _toggleEraser);
+
+  replayBtn.addEventListener('click', async () => {
+    CanvasManager.clearBoxes();
+    replayBtn.disabled = true;
+    await CanvasManager.replay();
+    _refreshTools();
+  });
+
+  function _undo() {
+    if (CanvasManager.undo()) _afterEdit();
+  }
+
+  function _redo() {
+    if (CanvasManager.redo()) _afterEdit();
+  }
+
+  // The old result no longer matches the canvas
+  function _afterEdit() {
+    ResultsUI.showCorrection(null);
+    _hideExplain();
+    _lastSample = null;
+  }
+
+  function _toggleEraser() {
+    const erasing = CanvasManager.getTool() !== 'eraser';
+    CanvasManager.setTool(erasing ? 'eraser' : 'pen');
+    eraserBtn.setAttribute('aria-pressed', String(erasing));
+  }
+
+  function _refreshTools() {
+    undoBtn.disabled   = !CanvasManager.canUndo;
+    redoBtn.disabled   = !CanvasManager.canRedo;
+    replayBtn.disabled = !CanvasManager.canUndo;
+  }
+
+  /* ── Image input ──────────────────────── */
+
+  const imageInput = document.getElementById('imageInput');
+  const canvasBox  = document.getElementById('canvasContainer');
+
+  document.getElementById('imageBtn')
+    .addEventListener('click', () => imageInput.click());
+
+  imageInput.addEventListener('change', () => {
+    if (imageInput.files[0]) _predictImage(imageInput.files[0]);
+    imageInput.value = '';
+  });
+
+  canvasBox.addEventListener('dragover', e => {
+    if (![...e.dataTransfer.items].some(i => i.type.startsWith('image/'))) return;
+    e.preventDefault();
+    canvasBox.classList.add('is-dropping');
+  });
+  canvasBox.addEventListener('dragleave', () => canvasBox.classList.remove('is-dropping'));
+  canvasBox.addEventListener('drop', e => {
+    e.preventDefault();
+    canvasBox.classList.remove('is-dropping');
+    const file = [...e.dataTransfer.files].find(f => f.type.startsWith('image/'));
+    if (file) _predictImage(file);
+  });
+
+  document.addEventListener('paste', e => {
+    if (e.target.closest('input, select, textarea')) return;
+    const item = [...(e.clipboardData?.items || [])].find(i => i.type.startsWith('image/'));
+    if (!item) return;
+    e.preventDefault();
+    _predictImage(item.getAsFile());
+  });
+
+  // Drawing again means the preview no longer matches the canvas
+  CanvasManager.on('strokestart', _hideImagePreview);
+
+  /**
+   * Image flow: decode → Preprocessor.fromImage → show the
+   * original beside its 28×28 → put the cleaned digits on the
+   * canvas → the usual predict (one digit or several).
+   */
+  async function _predictImage(file) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch (err) {
+      ResultsUI.showError('Could not read that image');
+      return;
+    }
+
+    const { clean, canvas28, empty } = Preprocessor.fromImage(bitmap);
+    _showImagePreview(bitmap, canvas28);
+    bitmap.close();
+
+    if (empty) {
+      CanvasManager.clear();
+      _refreshTools();
+      ResultsUI.showError('No digit found in that image');
+      return;
+    }
+
+    CanvasManager.drawImage(clean);
+    _refreshTools();
+    runPredict();
+  }
+
+  function _showImagePreview(bitmap, canvas28) {
+    const orig = document.getElementById('imageOriginal');
+    const k    = Math.min(1, 280 / Math.max(bitmap.width, bitmap.height));
+    orig.width  = Math.round(bitmap.width * k);
+    orig.height = Math.round(bitmap.height * k);
+    orig.getContext('2d').drawImage(bitmap, 0, 0, orig.width, orig.height);
+    document.getElementById('imagePrepared').getContext('2d').drawImage(canvas28, 0, 0);
+    document.getElementById('imagePreview').hidden = false;
+  }
+
+  function _hideImagePreview() {
+    document.getElementById('imagePreview').hidden = true;
+  }
+
+  /* ── Explanations ─────────────────────── */
+
+  const explainDigit    = document.getElementById('explainDigit');
+  const explainMethod   = document.getElementById('explainMethod');
+  const occlusionPatch  = document.getElementById('occlusionPatch');
+  const occlusionStride = document.getElementById('occlusionStride');
+
+  // The last single-digit prediction, and whether its heatmap is on
+  let _explain       = null;
+  let _explainOn     = false;
+  let _explainSigned = false;   // of the heatmap on screen
+  let _occlusionRun  = 0;       // bumped to drop a stale occlusion run
+
+  document.getElementById('explainBtn').addEventListener('click', () => {
+    if (_explainOn) {
+      CanvasManager.clearHeatmap();
+      ResultsUI.showOcclusion(null);
+      _explainOn = false;
+      ResultsUI.setExplainActive(false);
+    } else {
+      _renderExplain();
+    }
+  });
+
+  explainDigit.addEventListener('change', () => {
+    _cancelOcclusion();
+    if (_explainOn) _renderExplain();
+  });
+  explainMethod.addEventListener('change', () => {
+    _cancelOcclusion();
+    ResultsUI.setExplainMethod(explainMethod.value);
+    if (_explainOn) _renderExplain();
+  });
+  [occlusionPatch, occlusionStride].forEach(input => input.addEventListener('change', () => {
+    if (_explainOn) _renderExplain();
+  }));
+
+  // New ink makes the explanation stale
+  CanvasManager.on('strokestart', _hideExplain);
+
+  function _offerExplain(canvas28, stages, digit) {
+    _explain = { canvas28, stages };
+    _explainOn = false;
+    _occlusionRun++;
+    ResultsUI.showExplain(digit);
+  }
+
+  function _hideExplain() {
+    _explain   = null;
+    _explainOn = false;
+    _occlusionRun++;
+    CanvasManager.clearHeatmap();
+    ResultsUI.showExplain(null);
+  }
+
+  function _renderExplain() {
+    if (!_explain) return;
+    if (explainMethod.value === 'occlusion') {
+      _runOcclusion();
+      return;
+    }
+    let result;
+    try {
+      result = MnistModel.explain(_explain.canvas28, explainMethod.value, +explainDigit.value);
+    } catch (err) {
+      ResultsUI.setStatus('rose', err.message);
+      return;
+    }
+    CanvasManager.showHeatmap(result.map, result.signed, _inputRect(_explain.stages));
+    _explainOn     = true;
+    _explainSigned = result.signed;
+    ResultsUI.setExplainActive(true, result.signed);
+  }
+
+  /** Drop a running occlusion — its result would no longer match the menus. */
+  function _cancelOcclusion() {
+    _occlusionRun++;
+    ResultsUI.setOcclusionProgress(0, null);
+    ResultsUI.setExplainActive(_explainOn, _explainSigned);
+  }
+
+  /** Occlusion is batched and async — progress shows, stale runs are dropped. */
+  async function _runOcclusion() {
+    const run = ++_occlusionRun;
+    const { canvas28, stages } = _explain;
+    let result;
+    try {
+      // The first progress call (0 of all patches) locks the row
+      result = await MnistModel.occlude(canvas28, {
+        patch:  +occlusionPatch.value,
+        stride: +occlusionStride.value,
+        digit:  +explainDigit.value,
+        onProgress: (done, total) => { if (run === _occlusionRun) ResultsUI.setOcclusionProgress(done, total); },
+      });
+    } catch (err) {
+      if (run !== _occlusionRun) return;
+      CanvasManager.clearHeatmap();
+      _explainOn = false;
+      ResultsUI.setOcclusionProgress(0, null);
+      ResultsUI.setExplainActive(false);
+      ResultsUI.setStatus('rose', err.message);
+      return;
+    }
+    if (run !== _occlusionRun) return;
+
+    // Heatmap scaled to the largest change either way
+    const max = result.map.reduce((m, v) => Math.max(m, Math.abs(v)), 0) || 1;
+    CanvasManager.showHeatmap(result.map.map(v => v / max), true, _inputRect(stages));
+    ResultsUI.setOcclusionProgress(0, null);
+    ResultsUI.showOcclusion(canvas28, result);
+    _explainOn     = true;
+    _explainSigned = true;
+    ResultsUI.setExplainActive(true, true);
+  }
+
+  /**
+   * Where the 28×28 input lies on the drawing canvas: the crop
+   * (mapped back through any normalisation by the ink boxes —
+   * approximate after a deskew) stretched by the crop → dest scale.
+   */
+  function _inputRect({ box, fitBox, crop, dest }) {
+    const kx = (box.x1 - box.x0 + 1) / (fitBox.x1 - fitBox.x0 + 1);
+    const ky = (box.y1 - box.y0 + 1) / (fitBox.y1 - fitBox.y0 + 1);
+    const cx = box.x0 + (crop.x - fitBox.x0) * kx;
+    const cy = box.y0 + (crop.y - fitBox.y0) * ky;
+    const sx = crop.w * kx / dest.w, sy = crop.h * ky / dest.h;
+    return { x: cx - dest.x * sx, y: cy - dest.y * sy, w: 28 * sx, h: 28 * sy };
+  }
+
+  /* ── Live prediction ──────────────────── */
+
+  const LIVE_INTERVAL = 150;   // ms between predictions while drawing
+
+  const liveToggle = document.getElementById('liveToggle');
+  let _liveTimer = null;
+  let _liveLast  = 0;
+
+  CanvasManager.on('strokestart', () => _scheduleLive(false));
+  CanvasManager.on('stroke',      () => _scheduleLive(false));
+  CanvasManager.on('strokeend',   () => _scheduleLive(true));
+  CanvasManager.on('change',      () => _scheduleLive(true));
+
+  liveToggle.addEventListener('change', () => {
+    if (liveToggle.checked) NetworkRenderer.reset();
+  });
+
+  // Throttled: at most one prediction per LIVE_INTERVAL, plus one on pen up
+  function _scheduleLive(final) {
+    if (!liveToggle.checked || !MnistModel.isReady()) return;
+    clearTimeout(_liveTimer);
+    const wait = final ? 0 : Math.max(0, LIVE_INTERVAL - (performance.now() - _liveLast));
+    _liveTimer = setTimeout(() => _livePredict(final), wait);
+  }
+
+  function _livePredict(final) {
+    _liveLast = performance.now();
+    const canvas = CanvasManager.getCanvas();
+    if (Preprocessor.isEmpty(canvas)) return;
+
+    const stages   = Preprocessor.inspect(canvas);
+    const canvas28 = stages.canvas28;
+    InspectorUI.show(canvas, stages);
+    let result;
+    try {
+      result = MnistModel.predict(canvas28);
+      FilterUI.show(MnistModel.getFeatureMaps(canvas28));
+    } catch (err) {
+      ResultsUI.setStatus('rose', 'Prediction error');
+      return;
+    }
+
+    ResultsUI.showLive(result);
+    ResultsUI.setStatus(final ? 'green' : 'cyan', `Live: ${result.digit}  (${result.top5[0].pct}%)`);
+    if (final) {
+      _lastSample = { pixels: Preprocessor.toPixels(canvas28), strokes: _drawnStrokes() };
+      ResultsUI.showCorrection(result.digit);
+      _offerExplain(canvas28, stages, result.digit);
+    } else {
+      ResultsUI.showCorrection(null);
+    }
+  }
+
+  /**
+   * Multi-digit flow: predict each segment, show the whole
+   * number and outline the segments on the canvas.
+   * The network animation is for single digits only.
+   */
+  function _predictNumber(segments) {
+    let digits;
+    try {
+      digits = segments.map(s => {
+        const r = MnistModel.predict(s.canvas28);
+        return { digit: r.digit, pct: r.top5[0].pct, box: s.box };
+      });
+    } catch (err) {
+      ResultsUI.setStatus('rose', 'Prediction error');
+      ResultsUI.showError('Error: ' + err.message);
+      return;
+    }
+
+    ResultsUI.showNumber(digits);
+    CanvasManager.showBoxes(digits.map(d => ({ ...d.box, text: `${d.digit} · ${d.pct}%` })));
+
+    const number = digits.map(d => d.digit).join('');
+    const lowest = Math.min(...digits.map(d => d.pct));
+
+    // Inspect the digit the model was least sure of
+    const weakest = digits.findIndex(d => d.pct === lowest);
+    const note = `Digit ${weakest + 1} of ${digits.length} · least confident`;
+    InspectorUI.show(CanvasManager.getCanvas(), segments[weakest], note);
+    FilterUI.show(MnistModel.getFeatureMaps(segments[weakest].canvas28), note);
+    ResultsUI.setStatus('green', `Read: ${number}  (lowest ${lowest}%)`);
+  }
+
   /* ── Clear / Reset ─────────────────────── */
 
   document.getElementById('clearBtn')
@@ -159,15 +1087,35 @@ document.addEventListener('DOMContentLoaded', () => {
     .addEventListener('click', _reset);
 
   function _reset() {
+    clearTimeout(_liveTimer);
     CanvasManager.clear();
     NetworkRenderer.reset();
     ResultsUI.reset();
+    ResultsUI.showCorrection(null);
+    _hideExplain();
+    InspectorUI.reset();
+    FilterUI.reset();
+    _lastSample = null;
+    _refreshTools();
+    _hideImagePreview();
     if (MnistModel.isReady()) ResultsUI.setStatus('green', 'Model ready');
   }
 
   /* ── Keyboard shortcuts ─────────────────── */
 
   document.addEventListener('keydown', e => {
+    // Leave typing in the settings fields alone
+    if (e.target.closest('input, select, textarea')) return;
+    if (e.ctrlKey || e.metaKey) {
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        e.preventDefault();
+        e.shiftKey || key === 'y' ? _redo() : _undo();
+      }
+      return;
+    }
+    if (e.key === 'e')                   _toggleEraser();
+    if (collectToggle.checked && /^[0-9]$/.test(e.key)) _collect(+e.key);
     if (e.key === 'Enter')               runPredict();
     if (e.key === 'Escape' || e.key === 'Delete') _reset();
     if (e.key === 'n')                   networkToggle.click();
@@ -179,8 +1127,8 @@ document.addEventListener('DOMContentLoaded', () => {
    * Build the data object for NetworkRenderer.animate().
    *
    * inputPixels: 196 floats (14×14 sample of the 28×28 canvas)
-   * h1Acts / h2Acts: 16 floats each from real model activations
-   * outActs: 10 softmax probabilities
+   * layerActs:   one float[] per model layer (see getLayerInfo),
+   *              ending with the 10 softmax probabilities
    */
   function _buildRenderData(canvas28, activations, probs) {
     // ── Input pixel grid ──────────────────────────────────────
@@ -201,20 +1149,13 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
-    // ── Hidden activations ────────────────────────────────────
-    // activations[] comes from model.getActivations() — one array per layer
-    const h1Raw = activations[0] || [];
-    const h2Raw = activations[1] || [];
+    // ── Layer activations ─────────────────────────────────────
+    // activations[] comes from model.getActivations() — one array per
+    // renderer layer. The output column shows the raw softmax instead.
+    const layerActs = activations.slice(0, -1);
+    layerActs.push(probs.slice(0, 10));
 
-    // Pad/trim to exactly 16 values
-    const pad16 = (arr) => Array.from({ length: 16 }, (_, i) => arr[i] ?? 0);
-
-    return {
-      inputPixels: px14,
-      h1Acts:      pad16(h1Raw),
-      h2Acts:      pad16(h2Raw),
-      outActs:     probs.slice(0, 10),
-    };
+    return { inputPixels: px14, layerActs };
   }
 
   function _sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
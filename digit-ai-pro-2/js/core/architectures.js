@@ -0,0 +1,189 @@
+/**
+ * js/core/architectures.js
+ * ──────────────────────────────────────
+ * Registry of trainable networks.
+ * Shared by the page and the training worker.
+ *
+ * Presets:
+ *   mlp     784 → Dense(16) → Dense(16) → 10
+ *           The exact network drawn in the classic diagram.
+ *   cnn     Conv(16) + Pool → Conv(16) + Pool
+ *           → Dense(16) → Dropout → 10          (default)
+ *   lenet5  Conv(6, 5×5) + AvgPool → Conv(16, 5×5) + AvgPool
+ *           → Dense(120) → Dense(84) → 10
+ *
+ * All presets take a 28×28×1 input and end in a
+ * 10-way softmax, so predict() works the same for each.
+ */
+
+const Architectures = (() => {
+
+  const INPUT_SHAPE = [28, 28, 1];
+  const NUM_CLASSES = 10;
+  const DEFAULT     = 'cnn';
+
+  const PRESETS = {
+
+    mlp: {
+      label: 'MLP · 784→16→16→10',
+      layers: () => [
+        tf.layers.flatten({ inputShape: INPUT_SHAPE }),
+        tf.layers.dense({ units: 16, activation: 'relu' }),
+        tf.layers.dense({ units: 16, activation: 'relu' }),
+      ],
+    },
+
+    cnn: {
+      label: 'CNN · 2×Conv(16)',
+      layers: () => [
+        // Conv Block 1  → 16 filters
+        tf.layers.conv2d({
+          inputShape: INPUT_SHAPE,
+          kernelSize: 3, filters: 16,
+          activation: 'relu', padding: 'same',
+        }),
+        tf.layers.maxPooling2d({ poolSize: 2 }),
+
+        // Conv Block 2  → 16 filters
+        tf.layers.conv2d({
+          kernelSize: 3, filters: 16,
+          activation: 'relu', padding: 'same',
+        }),
+        tf.layers.maxPooling2d({ poolSize: 2 }),
+
+        // Dense Head
+        tf.layers.flatten(),
+        tf.layers.dense({ units: 16, activation: 'relu' }),
+        tf.layers.dropout({ rate: 0.2 }),
+      ],
+    },
+
+    lenet5: {
+      label: 'LeNet-5 · larger',
+      layers: () => [
+        tf.layers.conv2d({
+          inputShape: INPUT_SHAPE,
+          kernelSize: 5, filters: 6,
+          activation: 'relu', padding: 'same',
+        }),
+        tf.layers.averagePooling2d({ poolSize: 2 }),
+        tf.layers.conv2d({
+          kernelSize: 5, filters: 16,
+          activation: 'relu', padding: 'valid',
+        }),
+        tf.layers.averagePooling2d({ poolSize: 2 }),
+        tf.layers.flatten(),
+        tf.layers.dense({ units: 120, activation: 'relu' }),
+        tf.layers.dense({ units: 84,  activation: 'relu' }),
+      ],
+    },
+
+  };
+
+  /* ── Public API ──────────────────────────── */
+
+  /** @returns {{ key, label }[]} in display order */
+  function list() {
+    return Object.keys(PRESETS).map(key => ({ key, label: PRESETS[key].label }));
+  }
+
+  function has(key) {
+    return Object.prototype.hasOwnProperty.call(PRESETS, key);
+  }
+
+  /**
+   * Build and compile a fresh model.
+   * @param {{ architecture?: string, learningRate: number }} config
+   * @returns {tf.Sequential}
+   */
+  function build(config) {
+    const m = _assemble(config.architecture);
+    m.compile({
+      optimizer: tf.train.adam(config.learningRate),
+      loss:      'categoricalCrossentropy',
+      metrics:   ['accuracy'],
+    });
+    return m;
+  }
+
+  /**
+   * Every layer of the model, in order, as the network panel draws it.
+   * The last entry is always the 10-way output.
+   *   shape       output shape without the batch: [h, w, channels] or [units]
+   *   size        units the panel draws: channels of a spatial layer
+   *               (one node per feature map), or every unit of a flat one
+   *   activation  e.g. 'relu', 'softmax'; null for layers without one
+   *   detail      kernel / pool window or dropout rate, '' otherwise
+   * @param {tf.LayersModel} model
+   * @returns {{ name, kind, shape: number[], size, activation, detail }[]}
+   *   kind: 'conv' | 'pool' | 'flatten' | 'dense' | 'dropout',
+   *   or the lower-cased class name of anything else
+   */
+  function vizLayers(model) {
+    return model.layers.map(l => {
+      const cls   = l.getClassName();
+      const cfg   = l.getConfig();
+      const shape = l.outputShape.slice(1);
+      const act   = cfg.activation && cfg.activation !== 'linear' ? cfg.activation : null;
+      return {
+        name:       l.name,
+        kind:       KINDS[cls] || cls.toLowerCase(),
+        shape,
+        size:       shape[shape.length - 1],
+        activation: act,
+        detail:     _detail(cls, cfg),
+      };
+    });
+  }
+
+  /**
+   * One-line layout for the panel subtitle, e.g.
+   * '28×28 → conv16 → pool → 784 → 16 → drop → 10'.
+   * Layers that keep their input's size are named, the rest sized.
+   * @param {ReturnType<typeof vizLayers>} layers
+   */
+  function summary(layers) {
+    const tag = l => ({ conv: `conv${l.size}`, pool: 'pool', dropout: 'drop' })[l.kind] ?? String(l.size);
+    return [INPUT_SHAPE.slice(0, 2).join('×'), ...layers.map(tag)].join(' → ');
+  }
+
+  /**
+   * vizLayers() for a preset without training it —
+   * builds a throwaway copy to read the real layer sizes.
+   */
+  function describe(key) {
+    const m    = _assemble(key);
+    const info = vizLayers(m);
+    m.dispose();
+    return info;
+  }
+
+  /* ── Private ─────────────────────────────── */
+
+  const KINDS = {
+    Conv2D: 'conv', MaxPooling2D: 'pool', AveragePooling2D: 'pool',
+    Flatten: 'flatten', Dense: 'dense', Dropout: 'dropout',
+  };
+
+  function _detail(cls, cfg) {
+    if (cls === 'Conv2D')  return _window(cfg.kernelSize);
+    if (cls === 'Dropout') return `rate ${cfg.rate}`;
+    if (KINDS[cls] === 'pool') return `${_window(cfg.poolSize)} ${cls.startsWith('Max') ? 'max' : 'avg'}`;
+    return '';
+  }
+
+  function _window(size) {
+    return [].concat(size).concat(size).slice(0, 2).join('×');
+  }
+
+  function _assemble(key) {
+    const preset = PRESETS[has(key) ? key : DEFAULT];
+    const m = tf.sequential();
+    preset.layers().forEach(layer => m.add(layer));
+    m.add(tf.layers.dense({ units: NUM_CLASSES, activation: 'softmax' }));
+    return m;
+  }
+
+  return { INPUT_SHAPE, NUM_CLASSES, DEFAULT, list, has, build, vizLayers, summary, describe };
+
+})();
@@ -0,0 +1,159 @@
+/**
+ * js/core/augment.js
+ * ──────────────────────────────────────
+ * Random distortions that make MNIST look more like
+ * canvas drawings: thicker, off-centre, slanted.
+ *
+ * Every option is a strength from 0 (off) to 1 (max):
+ *   rotation     up to ±MAX.rotation degrees
+ *   translation  up to ±MAX.translation px
+ *   scale        up to ±MAX.scale (fraction of size)
+ *   stroke       dilate (thicker) or erode (thinner)
+ *   elastic      smooth random warp, up to MAX.elastic px
+ *
+ * Works on plain Float32Arrays so the training worker can
+ * build each batch on the fly from the shared dataset.
+ * No DOM, no TF.js.
+ */
+
+const Augment = (() => {
+
+  const SIDE = 28;
+  const SIZE = SIDE * SIDE;
+
+  const KEYS     = ['rotation', 'translation', 'scale', 'stroke', 'elastic'];
+  const DEFAULTS = Object.freeze({ rotation: 0, translation: 0, scale: 0, stroke: 0, elastic: 0 });
+
+  const MAX = Object.freeze({
+    rotation:    20,     // degrees
+    translation: 4,      // px
+    scale:       0.25,   // ±25%
+    stroke:      1,      // full 3×3 dilate / erode
+    elastic:     2.5,    // px displacement at each control point
+  });
+
+  const GRID = 5;        // elastic control points per side
+
+  /* ── Public API ──────────────────────────── */
+
+  /** True if any strength is above zero. */
+  function isActive(opts) {
+    return !!opts && KEYS.some(k => opts[k] > 0);
+  }
+
+  /**
+   * Build one augmented batch.
+   * @param {Float32Array} images   N × 784, never modified
+   * @param {ArrayLike<number>} idx sample indices for this batch
+   * @param {Object} opts           strengths, see header
+   * @returns {Float32Array}        idx.length × 784
+   */
+  function batch(images, idx, opts) {
+    const out = new Float32Array(idx.length * SIZE);
+    for (let i = 0; i < idx.length; i++) {
+      const src = images.subarray(idx[i] * SIZE, (idx[i] + 1) * SIZE);
+      apply(src, out.subarray(i * SIZE, (i + 1) * SIZE), opts);
+    }
+    return out;
+  }
+
+  /**
+   * Augment a single 28×28 image.
+   * @param {Float32Array} src  784 values, 0–1
+   * @param {Float32Array} dst  784 values, written in place
+   * @param {Object} opts
+   */
+  function apply(src, dst, opts) {
+    const o   = { ...DEFAULTS, ...opts };
+    const rnd = (s) => (Math.random() * 2 - 1) * s;
+
+    const angle = rnd(o.rotation * MAX.rotation) * Math.PI / 180;
+    const scale = 1 + rnd(o.scale * MAX.scale);
+    const tx    = rnd(o.translation * MAX.translation);
+    const ty    = rnd(o.translation * MAX.translation);
+    const field = o.elastic > 0 ? _elasticField(o.elastic * MAX.elastic) : null;
+
+    // Inverse map: for each output pixel find where it came from
+    const cos = Math.cos(-angle) / scale, sin = Math.sin(-angle) / scale;
+    const c   = (SIDE - 1) / 2;
+
+    for (let y = 0; y < SIDE; y++) {
+      for (let x = 0; x < SIDE; x++) {
+        let dx = x - c - tx, dy = y - c - ty;
+        if (field) {
+          dx += _lerpField(field, 0, x, y);
+          dy += _lerpField(field, 1, x, y);
+        }
+        const sx = cos * dx - sin * dy + c;
+        const sy = sin * dx + cos * dy + c;
+        dst[y * SIDE + x] = _sample(src, sx, sy);
+      }
+    }
+
+    const t = rnd(o.stroke * MAX.stroke);
+    if (Math.abs(t) > 0.01) _morph(dst, t);
+  }
+
+  /* ── Private ─────────────────────────────── */
+
+  /** Bilinear sample; outside the image is background (0). */
+  function _sample(img, x, y) {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = x - x0, fy = y - y0;
+    const p  = (xx, yy) =>
+      xx < 0 || yy < 0 || xx >= SIDE || yy >= SIDE ? 0 : img[yy * SIDE + xx];
+
+    return (p(x0, y0)     * (1 - fx) + p(x0 + 1, y0)     * fx) * (1 - fy)
+         + (p(x0, y0 + 1) * (1 - fx) + p(x0 + 1, y0 + 1) * fx) * fy;
+  }
+
+  /**
+   * Random displacements on a coarse GRID×GRID lattice —
+   * bilinear upsampling keeps the warp smooth without the
+   * cost of a full Gaussian blur per sample.
+   */
+  function _elasticField(alpha) {
+    const f = new Float32Array(GRID * GRID * 2);
+    for (let i = 0; i < f.length; i++) f[i] = (Math.random() * 2 - 1) * alpha;
+    return f;
+  }
+
+  function _lerpField(field, ch, x, y) {
+    const g  = (GRID - 1) / (SIDE - 1);
+    const gx = x * g, gy = y * g;
+    const x0 = Math.min(Math.floor(gx), GRID - 2), y0 = Math.min(Math.floor(gy), GRID - 2);
+    const fx = gx - x0, fy = gy - y0;
+    const v  = (xx, yy) => field[(yy * GRID + xx) * 2 + ch];
+
+    return (v(x0, y0)     * (1 - fx) + v(x0 + 1, y0)     * fx) * (1 - fy)
+         + (v(x0, y0 + 1) * (1 - fx) + v(x0 + 1, y0 + 1) * fx) * fy;
+  }
+
+  /**
+   * Blend towards a 3×3 max (t > 0, dilate) or min (t < 0, erode).
+   * |t| is the blend amount, 0–1.
+   */
+  function _morph(img, t) {
+    const copy = img.slice();
+    const pick = t > 0 ? Math.max : Math.min;
+    const amt  = Math.abs(t);
+
+    for (let y = 0; y < SIDE; y++) {
+      for (let x = 0; x < SIDE; x++) {
+        let v = copy[y * SIDE + x];
+        for (let ky = -1; ky <= 1; ky++) {
+          for (let kx = -1; kx <= 1; kx++) {
+            const xx = x + kx, yy = y + ky;
+            const n  = xx < 0 || yy < 0 || xx >= SIDE || yy >= SIDE ? 0 : copy[yy * SIDE + xx];
+            v = pick(v, n);
+          }
+        }
+        const i = y * SIDE + x;
+        img[i] = copy[i] + (v - copy[i]) * amt;
+      }
+    }
+  }
+
+  return { KEYS, DEFAULTS, MAX, isActive, batch, apply };
+
+})();
@@ -0,0 +1,231 @@
+/**
+ * js/core/mnistData.js
+ * ──────────────────────────────────────
+ * Pluggable MNIST data sources.
+ *
+ * Every source ends up in the same shape train() uses:
+ *   { trainX, trainY, testX, testY }
+ *   X: Float32Array, 784 floats (0–1) per sample
+ *   Y: Uint8Array,   10 one-hot bytes per sample
+ *
+ * Sources:
+ *   { kind: 'url',   imagesUrl, labelsUrl }   fetched over HTTP
+ *   { kind: 'files', files }                  user-picked File[]
+ *
+ * Accepted formats (detected from content, not file names):
+ *   - PNG sprite, one 28×28 image per 784 pixels
+ *     + raw one-hot label blob   (the learnjs layout)
+ *   - IDX  train-images-idx3-ubyte / train-labels-idx1-ubyte
+ *     (and t10k-* for a separate test split), gzipped or not
+ *
+ * No DOM access — safe to load inside a Web Worker.
+ */
+
+const MnistData = (() => {
+
+  const IMG_SIDE    = 28;
+  const IMG_SIZE    = IMG_SIDE * IMG_SIDE;
+  const NUM_CLASSES = 10;
+
+  const DEFAULT_SOURCE = Object.freeze({
+    kind:      'url',
+    imagesUrl: 'https://storage.googleapis.com/learnjs-data/model-builder/mnist_images.png',
+    labelsUrl: 'https://storage.googleapis.com/learnjs-data/model-builder/mnist_labels_uint8',
+  });
+
+  const IDX_IMAGES = 0x00000803;   // ubyte, 3 dims
+  const IDX_LABELS = 0x00000801;   // ubyte, 1 dim
+
+  /* ── Public API ──────────────────────────── */
+
+  /**
+   * Load and split a data source.
+   * @param {Object}   source      see header
+   * @param {Function} onProgress  (msg, pct 0–100)
+   * @param {number}   numTrain    max training samples
+   * @param {number}   numTest     max test samples
+   * @param {boolean}  [heldOut]   test split = every sample outside the
+   *   train split (numTest still decides where a single file is cut)
+   * @returns {Promise<{ trainX, trainY, testX, testY }>}
+   */
+  async function load(source, onProgress, numTrain, numTest, heldOut = false) {
+    const src = source || DEFAULT_SOURCE;
+
+    onProgress('Reading MNIST data…', 10);
+    const raw = src.kind === 'files'
+      ? await Promise.all(Array.from(src.files).map(f => _readFile(f)))
+      : await Promise.all([src.imagesUrl, src.labelsUrl].map(u => _fetch(u)));
+
+    onProgress('Decoding images + labels…', 35);
+    const parts  = await Promise.all(raw.map(r => _decode(r.name, r.buf)));
+    const images = parts.filter(p => p.kind === 'images');
+    const labels = parts.filter(p => p.kind === 'labels');
+    if (!images.length || !labels.length) {
+      throw new Error('Need one image file and one label file.');
+    }
+
+    onProgress('Splitting dataset…', 80);
+    return images.length > 1 && labels.length > 1
+      ? _fromTrainTest(images, labels, numTrain, numTest, heldOut)
+      : _fromSingle(images[0], labels[0], numTrain, numTest, heldOut);
+  }
+
+  /**
+   * Decode one images + labels pair as-is, without splitting —
+   * e.g. a dataset bundle exported from the app.
+   * @param {File[]} files
+   * @returns {Promise<{ images: Float32Array, labels: Uint8Array, count }>}  labels one-hot
+   */
+  async function readPair(files) {
+    const raw    = await Promise.all(Array.from(files).map(f => _readFile(f)));
+    const parts  = await Promise.all(raw.map(r => _decode(r.name, r.buf)));
+    const images = parts.filter(p => p.kind === 'images');
+    const labels = parts.filter(p => p.kind === 'labels');
+    if (images.length !== 1 || labels.length !== 1) {
+      throw new Error('Need exactly one image file and one label file.');
+    }
+    _checkCounts(images[0], labels[0]);
+    return { images: images[0].data, labels: labels[0].data, count: images[0].count };
+  }
+
+  /**
+   * Parse an uncompressed IDX buffer.
+   * @param {ArrayBuffer} buf
+   * @returns {{ kind: 'images'|'labels', count, data }}
+   */
+  function parseIdx(buf) {
+    const view  = new DataView(buf);
+    const magic = view.getUint32(0);
+    const bytes = new Uint8Array(buf);
+
+    if (magic === IDX_IMAGES) {
+      const count = view.getUint32(4);
+      const rows  = view.getUint32(8);
+      const cols  = view.getUint32(12);
+      if (rows !== IMG_SIDE || cols !== IMG_SIDE) {
+        throw new Error(`IDX images are ${rows}×${cols}, expected ${IMG_SIDE}×${IMG_SIDE}.`);
+      }
+      _checkLength(bytes.length - 16, count * IMG_SIZE, 'IDX image');
+      const data = new Float32Array(count * IMG_SIZE);
+      for (let i = 0; i < data.length; i++) data[i] = bytes[16 + i] / 255;
+      return { kind: 'images', count, data };
+    }
+
+    if (magic === IDX_LABELS) {
+      const count = view.getUint32(4);
+      _checkLength(bytes.length - 8, count, 'IDX label');
+      const data = new Uint8Array(count * NUM_CLASSES);
+      for (let i = 0; i < count; i++) {
+        const lbl = bytes[8 + i];
+        if (lbl >= NUM_CLASSES) throw new Error(`IDX label ${lbl} is not a digit.`);
+        data[i * NUM_CLASSES + lbl] = 1;
+      }
+      return { kind: 'labels', count, data };
+    }
+
+    throw new Error('Not an MNIST IDX file.');
+  }
+
+  /* ── Private ─────────────────────────────── */
+
+  async function _fetch(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Fetch failed (${res.status}): ${url}`);
+    return { name: url, buf: await res.arrayBuffer() };
+  }
+
+  async function _readFile(file) {
+    return { name: file.name, buf: await file.arrayBuffer() };
+  }
+
+  /** Sniff magic bytes and turn a buffer into images or labels. */
+  async function _decode(name, buf) {
+    const b = new Uint8Array(buf, 0, Math.min(buf.byteLength, 4));
+
+    if (b[0] === 0x1f && b[1] === 0x8b) {
+      return _decode(name.replace(/\.gz$/, ''), await _gunzip(buf));
+    }
+    if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) {
+      return _decodeSprite(buf);
+    }
+    if (b[0] === 0 && b[1] === 0 && b[2] === 0x08) {
+      return parseIdx(buf);
+    }
+    if (buf.byteLength % NUM_CLASSES === 0) {
+      // Raw one-hot label blob (learnjs layout)
+      return { kind: 'labels', count: buf.byteLength / NUM_CLASSES, data: new Uint8Array(buf) };
+    }
+    throw new Error(`Unrecognised MNIST file: ${name}`);
+  }
+
+  async function _gunzip(buf) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot unzip .gz files — extract them first.');
+    }
+    const stream = new Blob([buf]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+
+  async function _decodeSprite(buf) {
+    const bitmap = await createImageBitmap(new Blob([buf], { type: 'image/png' }));
+    const w = bitmap.width, h = bitmap.height;
+
+    const tmp = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(w, h)
+      : Object.assign(document.createElement('canvas'), { width: w, height: h });
+    const ctx = tmp.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const pix = ctx.getImageData(0, 0, w, h).data;
+
+    const count = Math.floor(w * h / IMG_SIZE);
+    const data  = new Float32Array(count * IMG_SIZE);
+    for (let i = 0; i < data.length; i++) data[i] = pix[i * 4] / 255;
+    return { kind: 'images', count, data };
+  }
+
+  /** One images + labels pair: the tail becomes the test split. */
+  function _fromSingle(images, labels, numTrain, numTest, heldOut) {
+    _checkCounts(images, labels);
+    const n      = images.count;
+    const nTrain = Math.min(numTrain, n - Math.min(numTest, Math.floor(n / 10)));
+    const nTest  = heldOut ? n - nTrain : Math.min(numTest, Math.floor(n / 10));
+
+    return {
+      trainX: images.data.slice(0, nTrain * IMG_SIZE),
+      trainY: labels.data.slice(0, nTrain * NUM_CLASSES),
+      testX:  images.data.slice(nTrain * IMG_SIZE, (nTrain + nTest) * IMG_SIZE),
+      testY:  labels.data.slice(nTrain * NUM_CLASSES, (nTrain + nTest) * NUM_CLASSES),
+    };
+  }
+
+  /** Separate train + test files: the larger pair is the train split. */
+  function _fromTrainTest(images, labels, numTrain, numTest, heldOut) {
+    const bySize = (a, b) => b.count - a.count;
+    const [trImg, teImg] = [...images].sort(bySize);
+    const [trLbl, teLbl] = [...labels].sort(bySize);
+    _checkCounts(trImg, trLbl);
+    _checkCounts(teImg, teLbl);
+
+    const nTrain = Math.min(numTrain, trImg.count);
+    const nTest  = heldOut ? teImg.count : Math.min(numTest, teImg.count);
+    return {
+      trainX: trImg.data.slice(0, nTrain * IMG_SIZE),
+      trainY: trLbl.data.slice(0, nTrain * NUM_CLASSES),
+      testX:  teImg.data.slice(0, nTest * IMG_SIZE),
+      testY:  teLbl.data.slice(0, nTest * NUM_CLASSES),
+    };
+  }
+
+  function _checkCounts(images, labels) {
+    if (images.count !== labels.count) {
+      throw new Error(`${images.count} images but ${labels.count} labels.`);
+    }
+  }
+
+  function _checkLength(have, need, what) {
+    if (have < need) throw new Error(`${what} file is truncated.`);
+  }
+
+  return { DEFAULT_SOURCE, load, readPair, parseIdx };
+
+})();
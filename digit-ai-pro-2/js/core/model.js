@@ -1,98 +1,210 @@
 /**
  * js/core/model.js
  * ─────────────────────────────────────────────
- * Real CNN trained on MNIST.
+ * Real network trained on MNIST.
+ * The network itself is picked from the presets in architectures.js.
  *
- * Architecture (784 → 16 → 16 → 10):
- *   Input:    28×28×1
- *   Conv2D(16, 3×3, relu) + MaxPool(2×2)
- *   Conv2D(16, 3×3, relu) + MaxPool(2×2)
- *   Flatten → Dense(16, relu) → Dense(10, softmax)
+ * Training runs in a Web Worker (trainWorker.js); the trained
+ * weights come back here for predict() / getActivations().
  *
- * This matches the architecture shown in the network viz.
+ * Persistence:
+ *   After training, the model is saved to IndexedDB and
+ *   restored on the next visit — no retraining on reload.
  *
  * Usage:
- *   await MnistModel.train(callbacks)
+ *   await MnistModel.restore()          → meta | null
+ *   MnistModel.setDataSource(source)    (see mnistData.js)
+ *   await MnistModel.train(callbacks, options)
+ *   MnistModel.pause() / resume() / stop()
  *   const result = MnistModel.predict(canvas28)
  *   const acts   = MnistModel.getActivations(canvas28)
+ *   const convs  = MnistModel.getFeatureMaps(canvas28)
+ *   MnistModel.getWeights()             → trained kernels for the diagram
+ *   await MnistModel.forget()
+ *
+ * Explanations:
+ *   MnistModel.explain(canvas28, method, digit?) → { map, signed, … }
+ *   method: 'gradient' | 'integrated' | 'gradcam' (EXPLAIN_METHODS)
+ *   await MnistModel.occlude(canvas28, { patch, stride, onProgress }) → { map, … }
+ *
+ * Evaluation:
+ *   await MnistModel.evaluate({ onProgress }) → accuracy, confusion, per-digit metrics
+ *
+ * Corrections:
+ *   await MnistModel.fineTune(samples, { onProgress }) → { before, after, n }
+ *
+ * Sharing:
+ *   await MnistModel.exportModel()      → downloads model.json + weights.bin
+ *   await MnistModel.importModel(files) → meta
  */
 
 const MnistModel = (() => {
 
   /* ── Config ───────────────────────────────── */
-  const IMG_SIZE    = 784;
   const NUM_CLASSES = 10;
-  const NUM_TRAIN   = 55000;  // ← full MNIST training set (was 5500)
-  const NUM_TEST    = 5000;   // ← full test slice (was 1000)
-  const EPOCHS      = 10;     // ← more epochs = higher accuracy (was 5)
-  const BATCH_SIZE  = 128;    // ← larger batch = faster GPU utilisation
 
-  const IMAGES_URL = 'https://storage.googleapis.com/learnjs-data/model-builder/mnist_images.png';
-  const LABELS_URL = 'https://storage.googleapis.com/learnjs-data/model-builder/mnist_labels_uint8';
+  /* Training hyperparameters — override per run via train(cbs, options) */
+  const DEFAULT_CONFIG = Object.freeze({
+    epochs:       10,      // ← more epochs = higher accuracy
+    batchSize:    128,     // ← larger batch = faster GPU utilisation
+    numTrain:     55000,   // ← full MNIST training set
+    numTest:      5000,    // ← full test slice
+    learningRate: 0.001,   // ← Adam step size
+    architecture: Architectures.DEFAULT,   // ← see architectures.js
+    augment:      Augment.DEFAULTS,   // ← all strengths 0 = plain MNIST
+  });
+
+  const CONFIG_LIMITS = Object.freeze({
+    epochs:       { label: 'Epochs',        min: 1,       max: 100,   int: true  },
+    batchSize:    { label: 'Batch size',    min: 8,       max: 1024,  int: true  },
+    numTrain:     { label: 'Train samples', min: 1000,    max: 60000, int: true  },
+    numTest:      { label: 'Test samples',  min: 100,     max: 10000, int: true  },
+    learningRate: { label: 'Learning rate', min: 0.00001, max: 0.1,   int: false },
+  });
+
+  /* Fine-tuning on the user's corrections */
+  const FINETUNE_CONFIG = Object.freeze({
+    epochs:       4,
+    batchSize:    32,
+    learningRate: 0.0002,  // ← well below training, to adjust not relearn
+    repeat:       8,       // ← copies of each user sample (jittered)
+    replayRatio:  10,      // ← MNIST replay samples per user sample…
+    minReplay:    500,     // ← …but never fewer than this
+  });
+
+  const WORKER_URL = 'js/core/trainWorker.js';
+
+  /* Saliency methods for explain() */
+  const EXPLAIN_METHODS = Object.freeze({
+    gradient:   'Gradient',
+    integrated: 'Integrated gradients',
+    gradcam:    'Grad-CAM',
+  });
+  const IG_STEPS = 32;     // ← integrated-gradients path steps, run as one batch
+
+  /* Occlusion sensitivity — occlude(); patch / stride override per call */
+  const OCCLUSION_CONFIG = Object.freeze({
+    patch:     6,      // ← side of the grey square, in input pixels
+    stride:    2,      // ← step between patch positions
+    grey:      0.5,    // ← patch value: 0 = background, 1 = ink
+    batchSize: 64,     // ← occluded copies per predict() call
+  });
+
+  const OCCLUSION_LIMITS = Object.freeze({
+    patch:  { label: 'Patch size', min: 2, max: 14 },
+    stride: { label: 'Stride',     min: 1, max: 14 },
+  });
+
+  const SAVE_URL  = 'indexeddb://digit-ai-model';
+  const META_KEY  = 'digit-ai:model-meta';
+
+  const EXPORT_JSON    = 'model.json';
+  const EXPORT_WEIGHTS = 'weights.bin';
+  const INPUT_SHAPE    = [28, 28, 1];
+  const IMG_SIZE       = 784;
 
   /* ── State ────────────────────────────────── */
   let _model    = null;
   let _trained  = false;
   let _training = false;
+  let _run      = null;   // { cbs, config, state, settle } — see train()
+  let _worker   = null;
+  let _job      = null;   // { kind: 'eval'|'tune', cbs, resolve, reject } — see _startJob()
+  let _source   = MnistData.DEFAULT_SOURCE;
 
   /* ── Public API ──────────────────────────── */
 
   /**
-   * Train the CNN on MNIST.
+   * Train the CNN on MNIST in the background worker.
+   * Resolves when the run finishes, fails, or is paused —
+   * a paused run carries on via resume().
    * @param {Object} cbs  Callbacks:
+   *   onStart(config)            resolved config this run uses
+   *   onStateChange(state)       'loading' | 'training' | 'paused' | 'idle'
    *   onDataProgress(msg, pct)
-   *   onEpoch(epoch, total, acc, loss, valAcc)
-   *   onDone(finalAcc)
+   *   onBatch(epoch, batch, steps, loss, acc)   steps = batches per epoch
+   *   onEpoch(epoch, total, acc, loss, valAcc, valLoss)
+   *   onDone(finalAcc, config, epochsRun)
    *   onError(err)
+   * @param {Object} [options]  Any of DEFAULT_CONFIG's keys
    */
-  async function train(cbs = {}) {
-    if (_training) return;
-    _training = true;
+  function train(cbs = {}, options = {}) {
+    if (_training) return Promise.resolve();
 
-    try {
-      const data = await _loadData(cbs.onDataProgress || (() => {}));
-      _model = _buildModel();
-
-      const xs  = tf.tensor4d(data.trainX, [NUM_TRAIN, 28, 28, 1]);
-      const ys  = tf.tensor2d(data.trainY, [NUM_TRAIN, NUM_CLASSES]);
-      const txs = tf.tensor4d(data.testX,  [NUM_TEST,  28, 28, 1]);
-      const tys = tf.tensor2d(data.testY,  [NUM_TEST,  NUM_CLASSES]);
-
-      await _model.fit(xs, ys, {
-        epochs:         EPOCHS,
-        batchSize:      BATCH_SIZE,
-        validationData: [txs, tys],
-        shuffle:        true,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            if (cbs.onEpoch) cbs.onEpoch(
-              epoch + 1, EPOCHS,
-              logs.acc      ?? 0,
-              logs.loss     ?? 0,
-              logs.val_acc  ?? 0,
-            );
-          },
-        },
-      });
-
-      [xs, ys, txs, tys].forEach(t => t.dispose());
-
-      // Quick final eval
-      const evalXs = tf.tensor4d(data.testX.slice(0, 500 * IMG_SIZE), [500, 28, 28, 1]);
-      const evalYs = tf.tensor2d(data.testY.slice(0, 500 * NUM_CLASSES), [500, NUM_CLASSES]);
-      const [, accTensor] = _model.evaluate(evalXs, evalYs);
-      const finalAcc = accTensor.dataSync()[0];
-      [evalXs, evalYs, accTensor].forEach(t => t.dispose());
+    // A fine-tune finishing later would replace the new model
+    if (_job) {
+      const err = new Error('The worker is busy — try again shortly.');
+      if (cbs.onError) cbs.onError(err);
+      else console.error('Training error:', err);
+      return Promise.resolve();
+    }
 
-      _trained  = true;
-      _training = false;
-      if (cbs.onDone) cbs.onDone(finalAcc);
+    const { config, errors } = validateConfig(options);
+    const firstError = Object.values(errors)[0];
+    if (firstError) {
+      const err = new Error(firstError);
+      if (cbs.onError) cbs.onError(err);
+      else console.error('Training error:', err);
+      return Promise.resolve();
+    }
 
+    let worker;
+    try {
+      worker = _getWorker();
     } catch (err) {
-      _training = false;
       if (cbs.onError) cbs.onError(err);
       else console.error('Training error:', err);
+      return Promise.resolve();
     }
+
+    _training = true;
+    _run = { cbs, config, state: 'loading', settle: null };
+    if (cbs.onStart) cbs.onStart(config);
+    if (cbs.onStateChange) cbs.onStateChange('loading');
+
+    return new Promise(resolve => {
+      _run.settle = resolve;
+      worker.postMessage({ type: 'train', config, source: _source });
+    });
+  }
+
+  /**
+   * Pause the running fit after the current batch.
+   * Tensors and optimizer state are kept in the worker for resume().
+   * @returns {boolean} false if nothing is fitting
+   */
+  function pause() {
+    if (!_run || _run.state !== 'training') return false;
+    _worker.postMessage({ type: 'pause' });
+    return true;
+  }
+
+  /**
+   * Continue a paused run from its last completed epoch.
+   * Resolves like train().
+   */
+  function resume() {
+    if (!_run || _run.state !== 'paused') return Promise.resolve();
+    return new Promise(resolve => {
+      _run.settle = resolve;
+      _worker.postMessage({ type: 'resume' });
+    });
+  }
+
+  /**
+   * End the run early. The weights learned so far become
+   * the active model, exactly as if training had finished.
+   * @returns {boolean} false if there is nothing to stop yet
+   */
+  function stop() {
+    if (!_run || (_run.state !== 'training' && _run.state !== 'paused')) return false;
+    _worker.postMessage({ type: 'stop' });
+    return true;
+  }
+
+  /** @returns {'idle'|'loading'|'training'|'paused'} */
+  function getTrainingState() {
+    return _run ? _run.state : 'idle';
   }
 
   /**
@@ -118,7 +230,9 @@ const MnistModel = (() => {
 
   /**
    * Get intermediate layer activations for viz.
-   * Returns array of compact float[] per layer.
+   * Returns one compact float[] per getLayerInfo() entry — every
+   * layer, in order: a mean per channel for spatial layers, every
+   * unit for flat ones — raw values, unscaled.
    */
   function getActivations(canvas28) {
     if (!_model) return [];
@@ -126,15 +240,9 @@ const MnistModel = (() => {
     return tf.tidy(() => {
       const t = _toTensor(canvas28);
 
-      // Pick visualizable layers
-      const vizLayers = _model.layers.filter(l =>
-        l.name.includes('conv2d') || l.name.includes('dense')
-      );
-      if (!vizLayers.length) return [];
-
       const actModel = tf.model({
         inputs:  _model.input,
-        outputs: vizLayers.map(l => l.output),
+        outputs: _model.layers.map(l => l.output),
       });
 
       const outs = actModel.predict(t);
@@ -144,71 +252,645 @@ const MnistModel = (() => {
     });
   }
 
+  /**
+   * Every conv layer's full output for one input, with its kernels —
+   * what getActivations() averages away.
+   * @returns {{ name, height, width, maps: Float32Array[],
+   *             kernelSize: number[], inChannels, kernels: Float32Array[][] }[]}
+   *   maps[f]:       height × width outputs of filter f
+   *   kernels[f][c]: kh × kw weights of filter f on input channel c
+   *   [] for a model without conv layers
+   */
+  function getFeatureMaps(canvas28) {
+    const convs = _model ? _model.layers.filter(l => l.getClassName() === 'Conv2D') : [];
+    if (!convs.length) return [];
+
+    return tf.tidy(() => {
+      const mapModel = tf.model({ inputs: _model.input, outputs: convs.map(l => l.output) });
+      const outs     = mapModel.predict(_toTensor(canvas28));
+
+      return (Array.isArray(outs) ? outs : [outs]).map((out, i) => {
+        const [, height, width, filters] = out.shape;
+        const data = out.dataSync();
+        const maps = Array.from({ length: filters }, () => new Float32Array(height * width));
+        for (let p = 0; p < height * width; p++) {
+          for (let f = 0; f < filters; f++) maps[f][p] = data[p * filters + f];
+        }
+
+        // [kh, kw, in, filters]
+        const kernel = convs[i].getWeights()[0];
+        const [kh, kw, inChannels] = kernel.shape;
+        const k = kernel.dataSync();
+        const kernels = Array.from({ length: filters }, () =>
+          Array.from({ length: inChannels }, () => new Float32Array(kh * kw)));
+        for (let p = 0; p < kh * kw; p++) {
+          for (let c = 0; c < inChannels; c++) {
+            for (let f = 0; f < filters; f++) kernels[f][c][p] = k[(p * inChannels + c) * filters + f];
+          }
+        }
+
+        return { name: convs[i].name, height, width, maps, kernelSize: [kh, kw], inChannels, kernels };
+      });
+    });
+  }
+
+  /**
+   * Which input pixels drove the score for `digit`.
+   * Scores are the pre-softmax logits, so "why not 9?" is
+   * answered as directly as "why 4?". An imported model whose
+   * softmax can't be peeled off is explained on its outputs.
+   *
+   *   gradient    ∂score/∂pixel — how a small change would move it
+   *   integrated  gradients averaged along a black → input path, × input
+   *   gradcam     last conv layer's maps, weighted by their mean gradient
+   *
+   * @param {HTMLCanvasElement} canvas28
+   * @param {'gradient'|'integrated'|'gradcam'} method
+   * @param {number} [digit]  class to explain, default the prediction
+   * @returns {{ method, digit, map: Float32Array, signed: boolean }}
+   *   map: 784 values scaled to −1…1 (0…1 when not signed)
+   */
+  function explain(canvas28, method, digit) {
+    if (!_trained) throw new Error('Model not trained.');
+    if (!EXPLAIN_METHODS[method]) throw new Error(`Unknown explanation method: ${method}`);
+
+    const layers = _model.layers;
+    const convAt = layers.map(l => l.getClassName()).lastIndexOf('Conv2D');
+    if (method === 'gradcam' && convAt < 0) {
+      throw new Error('Grad-CAM needs a convolutional layer — this model has none.');
+    }
+
+    return tf.tidy(() => {
+      const x = _toTensor(canvas28);
+      const c = digit ?? _logits(x, 0).argMax(1).dataSync()[0];
+
+      let map;
+      if (method === 'gradient') {
+        map = tf.grad(t => _logits(t, 0).gather([c], 1).sum())(x);
+      } else if (method === 'integrated') {
+        const alphas = tf.linspace(1 / IG_STEPS, 1, IG_STEPS).reshape([IG_STEPS, 1, 1, 1]);
+        const path   = x.mul(alphas);
+        const grads  = tf.grad(t => _logits(t, 0).gather([c], 1).sum())(path);
+        map = grads.mean(0, true).mul(x);
+      } else {
+        const acts  = _applyLayers(x, 0, convAt + 1);
+        const grads = tf.grad(a => _logits(a, convAt + 1).gather([c], 1).sum())(acts);
+        const w     = grads.mean([1, 2], true);
+        const cam   = acts.mul(w).sum(3, true).relu();
+        map = tf.image.resizeBilinear(cam, [28, 28]);
+      }
+
+      const flat  = map.reshape([784]);
+      const scale = flat.abs().max().dataSync()[0] || 1;
+      return {
+        method,
+        digit:  c,
+        map:    flat.div(scale).dataSync(),
+        signed: method !== 'gradcam',
+      };
+    });
+  }
+
+  /**
+   * Occlusion sensitivity — model-agnostic, it only calls predict.
+   * Slides a grey patch over the input, predicts every occluded copy
+   * in batches and maps how far each position drops the probability
+   * of `digit`. A pixel's value is the mean drop over the patches
+   * covering it; negative where hiding it raised the probability.
+   *
+   * @param {HTMLCanvasElement} canvas28
+   * @param {{ patch?, stride?, digit?, onProgress?(done, total) }} [options]
+   *   onProgress is called with done = 0 before the first batch
+   *   patch / stride within OCCLUSION_LIMITS; digit defaults to the prediction
+   * @returns {Promise<{ digit, prob, map: Float32Array, maxDrop, positions }>}
+   *   prob: unoccluded probability; map: 784 drops in probability
+   */
+  async function occlude(canvas28, options = {}) {
+    if (!_trained) throw new Error('Model not trained.');
+    const { patch, stride, grey, batchSize } = { ...OCCLUSION_CONFIG, ...options };
+    Object.entries(OCCLUSION_LIMITS).forEach(([key, lim]) => {
+      const v = key === 'patch' ? patch : stride;
+      if (!Number.isInteger(v) || v < lim.min || v > lim.max) {
+        throw new Error(`${lim.label} must be a whole number from ${lim.min} to ${lim.max}.`);
+      }
+    });
+    if (stride > patch) throw new Error('Stride can\'t exceed the patch size — some pixels would never be covered.');
+
+    const side   = INPUT_SHAPE[0];
+    const pixels = tf.tidy(() => _toTensor(canvas28).dataSync());
+    const base   = tf.tidy(() => _model.predict(_toTensor(canvas28)).dataSync());
+    const digit  = options.digit ?? base.indexOf(Math.max(...base));
+
+    // Every stride, plus one flush with the far edge
+    const starts = [];
+    for (let s = 0; s <= side - patch; s += stride) starts.push(s);
+    if (starts[starts.length - 1] !== side - patch) starts.push(side - patch);
+    const positions = starts.flatMap(y => starts.map(x => [y, x]));
+    if (options.onProgress) options.onProgress(0, positions.length);
+
+    const sum  = new Float32Array(IMG_SIZE);
+    const hits = new Uint16Array(IMG_SIZE);
+    for (let b = 0; b < positions.length; b += batchSize) {
+      const chunk = positions.slice(b, b + batchSize);
+      const batch = new Float32Array(chunk.length * IMG_SIZE);
+      chunk.forEach(([y, x], i) => {
+        const img = batch.subarray(i * IMG_SIZE, (i + 1) * IMG_SIZE);
+        img.set(pixels);
+        for (let r = y; r < y + patch; r++) img.fill(grey, r * side + x, r * side + x + patch);
+      });
+
+      const out   = tf.tidy(() => _model.predict(tf.tensor4d(batch, [chunk.length, ...INPUT_SHAPE])).gather([digit], 1));
+      const probs = await out.data();
+      out.dispose();
+
+      chunk.forEach(([y, x], i) => {
+        const drop = base[digit] - probs[i];
+        for (let r = y; r < y + patch; r++) {
+          for (let c = x; c < x + patch; c++) { sum[r * side + c] += drop; hits[r * side + c]++; }
+        }
+      });
+      if (options.onProgress) options.onProgress(b + chunk.length, positions.length);
+      await tf.nextFrame();
+    }
+
+    const map = sum.map((v, i) => hits[i] ? v / hits[i] : 0);
+    return { digit, prob: base[digit], map, maxDrop: Math.max(...map), positions: positions.length };
+  }
+
+  /** Run layers [from, to) of the model on a tensor. */
+  function _applyLayers(t, from, to) {
+    return _model.layers.slice(from, to).reduce((h, l) => l.apply(h), t);
+  }
+
+  /**
+   * Class scores before the final softmax, from layer `from` onward.
+   * The head is a softmax Dense (its own models), or a separate
+   * Activation / Softmax layer; anything else gives the outputs as-is.
+   */
+  function _logits(t, from) {
+    const layers = _model.layers;
+    const last   = layers[layers.length - 1];
+    const type   = last.getClassName();
+    const act    = last.getConfig().activation;
+
+    if ((type === 'Activation' && act === 'softmax') || type === 'Softmax') {
+      return _applyLayers(t, from, layers.length - 1);
+    }
+    if (type === 'Dense' && act === 'softmax' && last.input.shape.length === 2) {
+      const [kernel, bias] = last.getWeights();
+      const h = _applyLayers(t, from, layers.length - 1).matMul(kernel);
+      return bias ? h.add(bias) : h;
+    }
+    return _applyLayers(t, from, layers.length);
+  }
+
+  /**
+   * Every layer of the active model, for the renderer
+   * (see Architectures.vizLayers).
+   * @returns {{ name, kind, shape, size, activation, detail }[]}
+   *   [] before any model exists
+   */
+  function getLayerInfo() {
+    return _model ? Architectures.vizLayers(_model) : [];
+  }
+
+  /**
+   * Trained kernels of the getLayerInfo() layers, one weight per
+   * pair of units the renderer draws. A layer's rows are the units
+   * of the layer before it (getLayerInfo() sizes):
+   *   dense   its inputs, one row each
+   *   conv    the input channels — the kernel summed over its window
+   * @returns {({ rows, cols, kernel: Float32Array }|null)[]|null}
+   *   kernel[r * cols + c]: row r → unit c; null for layers
+   *   without weights (pool, flatten, dropout); null before training
+   */
+  function getWeights() {
+    if (!_trained) return null;
+
+    return _model.layers.map(layer => {
+      const params = layer.getWeights();
+      if (!params.length) return null;
+
+      // dense [in, units], conv [kh, kw, in, filters] — either way
+      // the flat index of row j, column c is j * cols + c
+      const raw  = params[0];
+      const data = raw.dataSync();
+      const [rows, cols] = raw.shape.slice(-2);
+
+      const kernel = new Float32Array(rows * cols);
+      for (let j = 0, n = data.length / cols; j < n; j++) {
+        const r = j % rows;
+        for (let c = 0; c < cols; c++) kernel[r * cols + c] += data[j * cols + c];
+      }
+      return { rows, cols, kernel };
+    });
+  }
+
+  /**
+   * Merge options over the defaults and range-check every value.
+   * @param {Object} [options]
+   * @returns {{ config: Object, errors: Object<string, string> }}
+   *   errors is keyed by option name ('augment.rotation' for
+   *   augmentation strengths) — empty when valid
+   */
+  function validateConfig(options = {}) {
+    const config = { ...DEFAULT_CONFIG };
+    const errors = {};
+
+    Object.keys(CONFIG_LIMITS).forEach(key => {
+      if (options[key] === undefined || options[key] === '') return;
+      const { label, min, max, int } = CONFIG_LIMITS[key];
+      const v = Number(options[key]);
+
+      if (!Number.isFinite(v))              errors[key] = `${label} must be a number`;
+      else if (int && !Number.isInteger(v)) errors[key] = `${label} must be a whole number`;
+      else if (v < min || v > max)          errors[key] = `${label} must be ${min}–${max}`;
+      else                                  config[key] = v;
+    });
+
+    if (options.architecture !== undefined) {
+      if (Architectures.has(options.architecture)) config.architecture = options.architecture;
+      else errors.architecture = `Unknown architecture "${options.architecture}"`;
+    }
+
+    if (options.augment) {
+      config.augment = { ...Augment.DEFAULTS };
+      Augment.KEYS.forEach(key => {
+        const raw = options.augment[key];
+        if (raw === undefined || raw === '') return;
+        const v = Number(raw);
+        if (!Number.isFinite(v) || v < 0 || v > 1) {
+          errors[`augment.${key}`] = `Augment ${key} must be 0–1`;
+        } else {
+          config.augment[key] = v;
+        }
+      });
+    }
+
+    if (!errors.batchSize && config.batchSize > config.numTrain) {
+      errors.batchSize = 'Batch size cannot exceed train samples';
+    }
+    return { config, errors };
+  }
+
+  /**
+   * Choose where train() gets its data from.
+   * @param {Object|null} source  see mnistData.js — null resets to the default CDN
+   */
+  function setDataSource(source) {
+    _source = source || MnistData.DEFAULT_SOURCE;
+  }
+
   /* Is the model trained? */
   function isReady() { return _trained; }
 
-  /* ── Private ─────────────────────────────── */
+  /**
+   * Load the model saved by a previous session, if any.
+   * @returns {Promise<{ trainedAt, accuracy }|null>}
+   */
+  async function restore() {
+    const meta = getSavedMeta();
+    if (!meta || _training) return null;
 
-  function _buildModel() {
-    const m = tf.sequential();
+    try {
+      _model   = await tf.loadLayersModel(SAVE_URL);
+      _trained = true;
+      return meta;
+    } catch (err) {
+      console.warn('Saved model could not be restored:', err);
+      localStorage.removeItem(META_KEY);
+      return null;
+    }
+  }
 
-    // Conv Block 1  → 16 filters
-    m.add(tf.layers.conv2d({
-      inputShape: [28, 28, 1],
-      kernelSize: 3, filters: 16,
-      activation: 'relu', padding: 'same',
-    }));
-    m.add(tf.layers.maxPooling2d({ poolSize: 2 }));
+  /**
+   * Metadata of the saved model.
+   * @returns {{ trainedAt: number, accuracy: number }|null}
+   */
+  function getSavedMeta() {
+    try {
+      return JSON.parse(localStorage.getItem(META_KEY));
+    } catch {
+      return null;
+    }
+  }
 
-    // Conv Block 2  → 16 filters
-    m.add(tf.layers.conv2d({
-      kernelSize: 3, filters: 16,
-      activation: 'relu', padding: 'same',
-    }));
-    m.add(tf.layers.maxPooling2d({ poolSize: 2 }));
-
-    // Dense Head  → matches 784→16→16→10 display
-    m.add(tf.layers.flatten());
-    m.add(tf.layers.dense({ units: 16, activation: 'relu' }));
-    m.add(tf.layers.dropout({ rate: 0.2 }));
-    m.add(tf.layers.dense({ units: 10, activation: 'softmax' }));
-
-    m.compile({
-      optimizer: tf.train.adam(0.001),
-      loss:      'categoricalCrossentropy',
-      metrics:   ['accuracy'],
+  /**
+   * Delete the saved model. The in-memory model stays usable
+   * until the page is reloaded.
+   */
+  async function forget() {
+    localStorage.removeItem(META_KEY);
+    try {
+      await tf.io.removeModel(SAVE_URL);
+    } catch {
+      // Nothing saved — fine
+    }
+  }
+
+  /**
+   * Download the trained model as a model.json + weights.bin pair.
+   * The saved metadata travels inside model.json.
+   */
+  async function exportModel() {
+    if (!_trained) throw new Error('Model not trained.');
+
+    const meta      = getSavedMeta() || { trainedAt: Date.now(), accuracy: null };
+    const artifacts = await _artifacts();
+    const modelJson = {
+      format:              'layers-model',
+      generatedBy:         `TensorFlow.js tfjs-layers v${tf.version.layers}`,
+      modelTopology:       artifacts.modelTopology,
+      weightsManifest:     [{ paths: [`./${EXPORT_WEIGHTS}`], weights: artifacts.weightSpecs }],
+      userDefinedMetadata: { digitAi: meta },
+    };
+    _download(new Blob([JSON.stringify(modelJson)], { type: 'application/json' }), EXPORT_JSON);
+    _download(new Blob([artifacts.weightData], { type: 'application/octet-stream' }), EXPORT_WEIGHTS);
+  }
+
+  /**
+   * Score the active model on every sample of the current data
+   * source it was not trained on (in the worker). The train split
+   * is cut with the saved numTrain / numTest; an imported model
+   * has none, so DEFAULT_CONFIG's split is assumed.
+   * @param {Object} [cbs]  onProgress(msg, pct)
+   * @returns {Promise<{ n, accuracy, confusion, perClass, topConfusions, mistakes, split }>}
+   *   split: { numTrain, numTest, known } — known is false when assumed
+   *   confusion[actual][predicted] counts; perClass has
+   *   precision / recall / f1 / support per digit; mistakes holds
+   *   the first 500 wrong samples { index, actual, predicted, top3, pixels }
+   */
+  async function evaluate(cbs = {}) {
+    if (!_trained)  throw new Error('Model not trained.');
+    if (_training)  throw new Error('Cannot evaluate while training.');
+    if (_job)       throw new Error('The worker is busy — try again shortly.');
+
+    const split = {
+      numTrain: _savedNumTrain(),
+      numTest:  _savedNumTest(),
+      known:    !!getSavedMeta()?.config,
+    };
+    const artifacts = await _artifacts();
+    const msg = await _startJob('eval', cbs, {
+      type:     'evaluate',
+      artifacts,
+      source:   _source,
+      numTrain: split.numTrain,
+      numTest:  split.numTest,
+    }, [artifacts.weightData]);
+    return { ...msg.result, split };
+  }
+
+  /**
+   * Fine-tune the active model on the user's labelled samples,
+   * mixed with a replay sample of MNIST (see FINETUNE_CONFIG).
+   * The tuned model replaces the active one and is saved.
+   * @param {{ label: number, pixels: Uint8Array }[]} samples
+   * @param {Object} [cbs]  onProgress(msg, pct)
+   * @returns {Promise<{ before: number, after: number, n: number }>}
+   *   accuracy on the user's samples before and after tuning
+   */
+  async function fineTune(samples, cbs = {}) {
+    if (!_trained)       throw new Error('Model not trained.');
+    if (_training)       throw new Error('Cannot fine-tune while training.');
+    if (_job)            throw new Error('The worker is busy — try again shortly.');
+    if (!samples.length) throw new Error('No samples to learn from.');
+
+    const pixels = new Uint8Array(samples.length * IMG_SIZE);
+    samples.forEach((s, i) => pixels.set(s.pixels, i * IMG_SIZE));
+
+    const artifacts = await _artifacts();
+    const msg = await _startJob('tune', cbs, {
+      type:     'finetune',
+      artifacts,
+      source:   _source,
+      numTrain: _savedNumTrain(),
+      samples:  { pixels, labels: samples.map(s => s.label) },
+      config:   FINETUNE_CONFIG,
+    }, [artifacts.weightData, pixels.buffer]);
+
+    const model = await tf.loadLayersModel(tf.io.fromMemory(msg.artifacts));
+    if (_model) _model.dispose();
+    _model = model;
+    // accuracy stays the MNIST figure from training
+    await _save({
+      trainedAt: Date.now(), accuracy: null, ...getSavedMeta(),
+      fineTunedAt: Date.now(), fineTuneSamples: msg.n,
     });
-    return m;
-  }
-
-  async function _loadData(onProgress) {
-    onProgress('Fetching MNIST images…', 10);
-    const [imgRes, lblRes] = await Promise.all([
-      fetch(IMAGES_URL),
-      fetch(LABELS_URL),
-    ]);
-
-    onProgress('Decoding image sprite…', 35);
-    const imgBlob   = await imgRes.blob();
-    const bitmap    = await createImageBitmap(imgBlob);
-    const tmp       = Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
-    tmp.getContext('2d').drawImage(bitmap, 0, 0);
-    const pix       = tmp.getContext('2d').getImageData(0, 0, bitmap.width, bitmap.height).data;
-    const nImages   = bitmap.width * bitmap.height / IMG_SIZE;
-    const imgData   = new Float32Array(nImages * IMG_SIZE);
-    for (let i = 0; i < imgData.length; i++) imgData[i] = pix[i * 4] / 255;
-
-    onProgress('Decoding labels…', 60);
-    const lblBuf = await lblRes.arrayBuffer();
-    const labels = new Uint8Array(lblBuf);
-
-    onProgress('Splitting dataset…', 80);
-    return {
-      trainX: imgData.slice(0, NUM_TRAIN * IMG_SIZE),
-      trainY: labels.slice(0, NUM_TRAIN * NUM_CLASSES),
-      testX:  imgData.slice(NUM_TRAIN * IMG_SIZE, (NUM_TRAIN + NUM_TEST) * IMG_SIZE),
-      testY:  labels.slice(NUM_TRAIN * NUM_CLASSES, (NUM_TRAIN + NUM_TEST) * NUM_CLASSES),
+
+    return { before: msg.before, after: msg.after, n: msg.n };
+  }
+
+  /**
+   * Load a model from a user-picked model.json + weights.bin pair,
+   * check it fits MNIST, and make it the active (and saved) model.
+   * @param {FileList|File[]} files
+   * @returns {Promise<{ trainedAt, accuracy }>}
+   */
+  async function importModel(files) {
+    if (_training) throw new Error('Cannot import while training.');
+    // A fine-tune finishing later would replace the imported model
+    if (_job)      throw new Error('The worker is busy — try again shortly.');
+
+    const list     = Array.from(files || []);
+    const jsonFile = list.find(f => f.name.endsWith('.json'));
+    const binFile  = list.find(f => f.name.endsWith('.bin'));
+    if (!jsonFile || !binFile) {
+      throw new Error('Pick both model.json and weights.bin.');
+    }
+
+    let modelJson;
+    try {
+      modelJson = JSON.parse(await jsonFile.text());
+    } catch {
+      throw new Error(`${jsonFile.name} is not valid JSON.`);
+    }
+    if (!modelJson.modelTopology || !Array.isArray(modelJson.weightsManifest)) {
+      throw new Error(`${jsonFile.name} is not a TensorFlow.js layers model.`);
+    }
+
+    const weightData = await binFile.arrayBuffer();
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology: modelJson.modelTopology,
+      weightSpecs:   modelJson.weightsManifest.flatMap(g => g.weights),
+      weightData,
+    }));
+
+    try {
+      _checkShapes(model);
+    } catch (err) {
+      model.dispose();
+      throw err;
+    }
+
+    if (_model) _model.dispose();
+    _model   = model;
+    _trained = true;
+
+    const shared = modelJson.userDefinedMetadata?.digitAi;
+    const meta   = {
+      trainedAt: shared?.trainedAt ?? Date.now(),
+      accuracy:  shared?.accuracy  ?? null,
     };
+    await _save(meta);
+    return meta;
+  }
+
+  /* ── Private ─────────────────────────────── */
+
+  function _getWorker() {
+    if (_worker) return _worker;
+    _worker = new Worker(WORKER_URL);
+    _worker.onmessage = ({ data }) => _onWorkerMessage(data);
+    _worker.onerror   = (e) => {
+      e.preventDefault();
+      const err = new Error(e.message || 'Training worker failed to start.');
+      if (_run) _endRun(err);
+      if (_job) _onJobMessage({ type: `${_job.kind}Error`, message: err.message });
+    };
+    return _worker;
+  }
+
+  async function _onWorkerMessage(msg) {
+    if (_job && msg.type.startsWith(_job.kind)) {
+      _onJobMessage(msg);
+      return;
+    }
+    if (!_run) return;
+    const { cbs, config } = _run;
+
+    switch (msg.type) {
+      case 'state':
+        // 'idle' is reported by _endRun once the weights are in place
+        if (msg.state === 'idle' || msg.state === _run.state) return;
+        _run.state = msg.state;
+        if (cbs.onStateChange) cbs.onStateChange(msg.state);
+        if (msg.state === 'paused') _settle();
+        break;
+
+      case 'dataProgress':
+        if (cbs.onDataProgress) cbs.onDataProgress(msg.msg, msg.pct);
+        break;
+
+      case 'batch':
+        if (cbs.onBatch) cbs.onBatch(msg.epoch, msg.batch, msg.steps, msg.loss, msg.acc);
+        break;
+
+      case 'epoch':
+        if (cbs.onEpoch) cbs.onEpoch(msg.epoch, msg.total, msg.acc, msg.loss, msg.valAcc, msg.valLoss);
+        break;
+
+      case 'done':
+        try {
+          const model = await tf.loadLayersModel(tf.io.fromMemory(msg.artifacts));
+          if (_model) _model.dispose();
+          _model   = model;
+          _trained = true;
+        } catch (err) {
+          _endRun(err);
+          return;
+        }
+        _endRun(null);
+        await _save({ trainedAt: Date.now(), accuracy: msg.finalAcc, config, epochsRun: msg.epochsRun });
+        if (cbs.onDone) cbs.onDone(msg.finalAcc, config, msg.epochsRun);
+        break;
+
+      case 'error':
+        _endRun(new Error(msg.message));
+        break;
+    }
+  }
+
+  /**
+   * Send a one-off request (evaluate, fine-tune) to the worker.
+   * It answers with `${kind}Progress` messages, then one
+   * `${kind}Done` (resolves with the message) or `${kind}Error`.
+   */
+  function _startJob(kind, cbs, message, transfer) {
+    const worker = _getWorker();
+    return new Promise((resolve, reject) => {
+      _job = { kind, cbs, resolve, reject };
+      worker.postMessage(message, transfer);
+    });
+  }
+
+  function _onJobMessage(msg) {
+    const { kind, cbs, resolve, reject } = _job;
+
+    if (msg.type === `${kind}Progress`) {
+      if (cbs.onProgress) cbs.onProgress(msg.msg, msg.pct);
+      return;
+    }
+    _job = null;
+    if (msg.type === `${kind}Done`) resolve(msg);
+    else reject(new Error(msg.message));
+  }
+
+  function _savedNumTrain() {
+    return getSavedMeta()?.config?.numTrain ?? DEFAULT_CONFIG.numTrain;
+  }
+
+  function _savedNumTest() {
+    return getSavedMeta()?.config?.numTest ?? DEFAULT_CONFIG.numTest;
+  }
+
+  /** Close the active run; err reaches onError if given. */
+  function _endRun(err) {
+    const { cbs } = _run;
+    _training  = false;
+    _run.state = 'idle';
+    if (cbs.onStateChange) cbs.onStateChange('idle');
+    _settle();
+    _run = null;
+
+    if (err) {
+      if (cbs.onError) cbs.onError(err);
+      else console.error('Training error:', err);
+    }
+  }
+
+  function _settle() {
+    if (_run.settle) _run.settle();
+    _run.settle = null;
+  }
+
+  /** Serialise the active model to in-memory artifacts. */
+  async function _artifacts() {
+    let artifacts = null;
+    await _model.save(tf.io.withSaveHandler(async a => {
+      artifacts = { modelTopology: a.modelTopology, weightSpecs: a.weightSpecs, weightData: a.weightData };
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return artifacts;
+  }
+
+  function _checkShapes(model) {
+    const inShape  = model.inputs[0].shape.slice(1);
+    const outShape = model.outputs[0].shape.slice(1);
+
+    if (inShape.join('×') !== INPUT_SHAPE.join('×')) {
+      throw new Error(`Model input is ${inShape.join('×')}, expected ${INPUT_SHAPE.join('×')}.`);
+    }
+    if (outShape.length !== 1 || outShape[0] !== NUM_CLASSES) {
+      throw new Error(`Model outputs ${outShape.join('×')} values, expected ${NUM_CLASSES} classes.`);
+    }
+  }
+
+  function _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a   = Object.assign(document.createElement('a'), { href: url, download: filename });
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function _save(meta) {
+    try {
+      await _model.save(SAVE_URL);
+      localStorage.setItem(META_KEY, JSON.stringify(meta));
+    } catch (err) {
+      // Training still succeeded — just won't survive a reload
+      console.warn('Model could not be saved:', err);
+    }
   }
 
   function _toTensor(canvas28) {
@@ -217,8 +899,10 @@ const MnistModel = (() => {
   }
 
   /**
-   * Compress a layer's activation tensor to a flat vector
-   * of up to 16 values, normalised 0–1.
+   * Compress a layer's activation tensor to a flat vector —
+   * one value per filter (conv, its spatial mean) or unit (dense).
+   * Raw and unscaled: ≥ 0 after ReLU, any sign for linear layers,
+   * 0–1 for the softmax output. Scaling for display is the renderer's job.
    */
   function _compactActivation(tensor) {
     const data  = tensor.dataSync();
@@ -227,8 +911,7 @@ const MnistModel = (() => {
     let summary;
     if (shape.length === 4) {
       const [, H, W, F] = shape;
-      const n   = Math.min(F, 16);   // up to 16 — matches hidden layer size
-      summary   = Array.from({ length: n }, (_, f) => {
+      summary   = Array.from({ length: F }, (_, f) => {
         let sum = 0;
         for (let h = 0; h < H; h++)
           for (let w = 0; w < W; w++)
@@ -236,13 +919,17 @@ const MnistModel = (() => {
         return sum / (H * W);
       });
     } else {
-      summary = Array.from(data.slice(0, 16));
+      summary = Array.from(data);
     }
-
-    const max = Math.max(...summary, 0.0001);
-    return summary.map(v => v / max);
+    return summary;
   }
 
-  return { train, predict, getActivations, isReady };
+  return {
+    DEFAULT_CONFIG, CONFIG_LIMITS, EXPLAIN_METHODS, OCCLUSION_CONFIG, OCCLUSION_LIMITS,
+    train, pause, resume, stop, getTrainingState,
+    validateConfig, predict, explain, occlude, getActivations, getFeatureMaps, getLayerInfo, getWeights, isReady, setDataSource,
+    restore, getSavedMeta, forget,
+    exportModel, importModel, evaluate, fineTune,
+  };
 
 })();
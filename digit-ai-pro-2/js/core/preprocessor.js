@@ -8,33 +8,208 @@
  *   2. Crop to tight bounding box
  *   3. Add 22% padding
  *   4. Resize + center onto 28×28 black canvas
+ *
+ * Options (setOptions), each off by default:
+ *   strokeWidth  thicken / thin strokes to MNIST's pen width
+ *   deskew       straighten slant using second-order moments
+ *   centerMass   MNIST's own framing: fit the box into 20×20,
+ *                no padding, then centre the centre of mass
+ *
+ * inspect() returns every stage of the pipeline for
+ * display; segment() runs it once per digit for
+ * drawings of several digits side by side.
+ *
+ * fromImage() cleans up a photo or scan first — grayscale,
+ * dark-on-light inverted, Otsu threshold, specks removed —
+ * into a white-on-black canvas the pipeline above can read.
  */
 
 const Preprocessor = (() => {
 
+  const INK = 20;   // red channel above this counts as drawn
+
+  // Segmentation
+  const MERGE_OVERLAP = 0.5;    // pieces sharing this much of their width are one digit
+  const MIN_AREA      = 0.04;   // pieces smaller than this × the largest are noise
+  const SPLIT_RATIO   = 1.5;    // this × wider than tall → probably touching digits
+  const SPLIT_VALLEY  = 0.4;    // cut where column ink ≤ this × the fullest column…
+  const SPLIT_WINDOW  = 0.15;   // …searching only this far either side of the middle
+
+  // Images
+  const IMAGE_SIDE = 320;       // photos are scaled down to this longest side
+  const NOISE_AREA = 0.05;      // blobs smaller than this × the largest are specks
+
+  // Normalisation options
+  const OPTIONS      = ['centerMass', 'deskew', 'strokeWidth'];
+  const STROKE_SHARE = 0.12;    // MNIST pen width ≈ 12% of the digit's height
+  const MAX_SKEW     = 1;       // shear more than 45° is not slant
+
+  let _opts = { centerMass: false, deskew: false, strokeWidth: false };
+
+  /** @param {{ centerMass?, deskew?, strokeWidth? }} opts  merged into the current options */
+  function setOptions(opts) {
+    OPTIONS.forEach(k => { if (k in opts) _opts[k] = !!opts[k]; });
+  }
+
+  function getOptions() { return { ..._opts }; }
+
   /**
    * @param {HTMLCanvasElement} src  Any size drawing canvas
+   * @param {object} [opts]          normalisation options, default the current ones
    * @returns {HTMLCanvasElement}    28×28 ready for model
    */
-  function prepare(src) {
-    const ctx  = src.getContext('2d');
-    const W    = src.width, H = src.height;
-    const pix  = ctx.getImageData(0, 0, W, H).data;
+  function prepare(src, opts = _opts) {
+    return inspect(src, opts)?.canvas28 ?? _blank28();
+  }
+
+  /**
+   * prepare(), keeping the intermediate stages.
+   * @param {HTMLCanvasElement} src
+   * @param {object} [opts]
+   * @returns {Stages|null}  null if nothing is drawn
+   *
+   * Stages:
+   *   box       ink bounding box on src
+   *   source    src after stroke / deskew normalisation (src if neither is on)
+   *   normalised  whether either of those ran
+   *   fitBox    ink bounding box on source (box, unless normalised)
+   *   crop      { x, y, w, h } region of source that is scaled down
+   *   dest      { x, y, w, h } where it lands on the 28×28 (fits 20×20)
+   *   canvas28  the model input
+   */
+  function inspect(src, opts = _opts) {
+    const W   = src.width, H = src.height;
+    const box = _bbox(src.getContext('2d').getImageData(0, 0, W, H).data, W, H);
+    return box && _fit(src, box, opts);
+  }
+
+  /**
+   * Split a drawing into one 28×28 image per digit:
+   * connected components, pieces of the same digit merged
+   * (they share columns), touching digits cut at the column
+   * with the least ink.
+   * @param {HTMLCanvasElement} src
+   * @param {object} [opts]  normalisation options, default the current ones
+   * @param {(whole: Stages, pieces: Stages[]) => boolean} [keepSplit]
+   *   asked before each cut is kept — e.g. only if the pieces read
+   *   more confidently than the whole; every cut is kept without it
+   * @returns {Stages[]}  as inspect(), one per digit, left to right
+   */
+  function segment(src, opts = _opts, keepSplit = null) {
+    const W   = src.width, H = src.height;
+    const pix = src.getContext('2d').getImageData(0, 0, W, H).data;
+    const fit = p => _fit(_isolate(pix, p.idx, W, H), { x0: p.x0, y0: p.y0, x1: p.x1, y1: p.y1 }, opts);
+
+    let parts = _mergeColumns(_components(pix, W, H));
+    const biggest = Math.max(0, ...parts.map(p => p.idx.length));
+    parts = parts
+      .filter(p => p.idx.length >= biggest * MIN_AREA)
+      .flatMap(p => _splitTouching(p, W, keepSplit && ((whole, pieces) => keepSplit(fit(whole), pieces.map(fit)))))
+      .sort((a, b) => a.x0 - b.x0);
+
+    return parts.map(fit);
+  }
+
+  /**
+   * Turn an uploaded image into a clean drawing.
+   * @param {CanvasImageSource} img  photo, scan or screenshot
+   * @returns {{ clean: HTMLCanvasElement, canvas28: HTMLCanvasElement, empty: boolean }}
+   *   clean: square, white ink on black, the digits centred
+   */
+  function fromImage(img) {
+    const iw = img.naturalWidth || img.width, ih = img.naturalHeight || img.height;
+    const k  = Math.min(1, IMAGE_SIDE / Math.max(iw, ih));
+    const W  = Math.max(1, Math.round(iw * k)), H = Math.max(1, Math.round(ih * k));
+
+    // Transparent areas count as paper
+    const work = document.createElement('canvas');
+    work.width  = W;
+    work.height = H;
+    const wctx = work.getContext('2d');
+    wctx.fillStyle = '#fff';
+    wctx.fillRect(0, 0, W, H);
+    wctx.drawImage(img, 0, 0, W, H);
+
+    const grey = _grey(wctx.getImageData(0, 0, W, H).data);
+    if (_borderMean(grey, W, H) > 127) grey.forEach((v, i) => { grey[i] = 255 - v; });
 
-    // Bounding box
-    let x0 = W, y0 = H, x1 = 0, y1 = 0, found = false;
+    const t    = _otsu(grey);
+    const pix  = new Uint8ClampedArray(W * H * 4);
+    grey.forEach((v, i) => { if (v > t) pix[i * 4] = 255; });
+
+    const parts   = _components(pix, W, H);
+    const biggest = parts.reduce((m, p) => Math.max(m, p.idx.length), 0);
+
+    // Square, so the drawing canvas shows it undistorted
+    const S     = Math.max(W, H);
+    const clean = document.createElement('canvas');
+    clean.width = clean.height = S;
+    const cctx  = clean.getContext('2d');
+    const out   = cctx.createImageData(S, S);
+    const ox    = (S - W) >> 1, oy = (S - H) >> 1;
+    for (let i = 3; i < out.data.length; i += 4) out.data[i] = 255;
+    parts
+      .filter(p => p.idx.length >= biggest * NOISE_AREA)
+      .forEach(p => p.idx.forEach(i => {
+        const o = (((i / W) | 0) + oy) * S + (i % W) + ox;
+        out.data[o * 4] = out.data[o * 4 + 1] = out.data[o * 4 + 2] = 255;
+      }));
+    cctx.putImageData(out, 0, 0);
+
+    return { clean, canvas28: prepare(clean), empty: !parts.length };
+  }
+
+  /**
+   * Grey values of a prepared 28×28 canvas.
+   * @param {HTMLCanvasElement} canvas28
+   * @returns {Uint8Array} 784 values, 0 = background
+   */
+  function toPixels(canvas28) {
+    const d   = canvas28.getContext('2d').getImageData(0, 0, 28, 28).data;
+    const out = new Uint8Array(784);
+    for (let i = 0; i < out.length; i++) out[i] = d[i * 4];
+    return out;
+  }
+
+  /** True if nothing has been drawn */
+  function isEmpty(canvas) {
+    const d = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    for (let i = 0; i < d.length; i += 4) if (d[i] > INK) return false;
+    return true;
+  }
+
+  /* ── Private ─────────────────────────────── */
+
+  /** Tight box around the ink, or null if there is none. */
+  function _bbox(pix, W, H) {
+    let x0 = W, y0 = H, x1 = -1, y1 = -1;
     for (let y = 0; y < H; y++) {
       for (let x = 0; x < W; x++) {
-        if (pix[(y * W + x) * 4] > 20) {
-          x0 = Math.min(x0, x); y0 = Math.min(y0, y);
-          x1 = Math.max(x1, x); y1 = Math.max(y1, y);
-          found = true;
+        if (pix[(y * W + x) * 4] > INK) {
+          if (x < x0) x0 = x;
+          if (x > x1) x1 = x;
+          if (y < y0) y0 = y;
+          if (y > y1) y1 = y;
         }
       }
     }
+    return x1 < 0 ? null : { x0, y0, x1, y1 };
+  }
+
+  /** Normalise, then pad + scale a bounding box of src onto a fresh 28×28 canvas. */
+  function _fit(src, box, opts = _opts) {
+    const stages = { box, normalised: !!(opts.strokeWidth || opts.deskew) };
+    if (opts.strokeWidth) ({ src, box } = _normaliseStroke(src, box));
+    if (opts.deskew)      ({ src, box } = _deskew(src, box));
+    stages.source = src;
+    stages.fitBox = box;
+    return Object.assign(stages, opts.centerMass ? _fitByMass(src, box) : _fitByBox(src, box));
+  }
 
+  /** Default framing: the box plus 22% padding, scaled to fit 20×20, centred. */
+  function _fitByBox(src, { x0, y0, x1, y1 }) {
+    const W   = src.width, H = src.height;
     const out = _blank28();
-    if (!found) return out;
 
     const bw  = x1 - x0, bh = y1 - y0;
     const pad = Math.max(bw, bh) * 0.22;
@@ -48,14 +223,302 @@ const Preprocessor = (() => {
     const dx    = (28 - dw) / 2, dy = (28 - dh) / 2;
 
     out.getContext('2d').drawImage(src, sx, sy, sw, sh, dx, dy, dw, dh);
+    return {
+      crop:     { x: sx, y: sy, w: sw, h: sh },
+      dest:     { x: dx, y: dy, w: dw, h: dh },
+      canvas28: out,
+    };
+  }
+
+  /** Luminance of RGBA pixels. */
+  function _grey(rgba) {
+    const out = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < out.length; i++) {
+      out[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+    }
     return out;
   }
 
-  /** True if nothing has been drawn */
-  function isEmpty(canvas) {
-    const d = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
-    for (let i = 0; i < d.length; i += 4) if (d[i] > 20) return false;
-    return true;
+  /** Mean of the outermost pixels — the paper, for any sane photo. */
+  function _borderMean(grey, W, H) {
+    let sum = 0, n = 0;
+    for (let x = 0; x < W; x++) { sum += grey[x] + grey[(H - 1) * W + x]; n += 2; }
+    for (let y = 1; y < H - 1; y++) { sum += grey[y * W] + grey[y * W + W - 1]; n += 2; }
+    return sum / n;
+  }
+
+  /** Otsu's threshold: the cut that best separates two grey levels. */
+  function _otsu(grey) {
+    const hist = new Uint32Array(256);
+    grey.forEach(v => hist[v]++);
+
+    const total = grey.length;
+    let sumAll = 0;
+    for (let v = 0; v < 256; v++) sumAll += v * hist[v];
+
+    let best = 0, bestVar = -1, wB = 0, sumB = 0;
+    for (let t = 0; t < 256; t++) {
+      wB += hist[t];
+      if (!wB) continue;
+      const wF = total - wB;
+      if (!wF) break;
+      sumB += t * hist[t];
+      const mB = sumB / wB, mF = (sumAll - sumB) / wF;
+      const between = wB * wF * (mB - mF) ** 2;
+      if (between > bestVar) { bestVar = between; best = t; }
+    }
+    return Math.max(best, INK);
+  }
+
+  /**
+   * MNIST framing: the box scaled to fit 20×20, placed so the
+   * ink's centre of mass lands on the centre of the 28×28 field.
+   */
+  function _fitByMass(src, { x0, y0, x1, y1 }) {
+    const out = _blank28();
+    const bw  = x1 - x0 + 1, bh = y1 - y0 + 1;
+    const pix = src.getContext('2d').getImageData(x0, y0, bw, bh).data;
+
+    let m = 0, mx = 0, my = 0;
+    for (let y = 0; y < bh; y++) {
+      for (let x = 0; x < bw; x++) {
+        const v = pix[(y * bw + x) * 4];
+        m += v; mx += v * (x + 0.5); my += v * (y + 0.5);
+      }
+    }
+
+    const sc = 20 / Math.max(bw, bh);
+    const dx = m ? 14 - (mx / m) * sc : (28 - bw * sc) / 2;
+    const dy = m ? 14 - (my / m) * sc : (28 - bh * sc) / 2;
+    out.getContext('2d').drawImage(src, x0, y0, bw, bh, dx, dy, bw * sc, bh * sc);
+    return {
+      crop:     { x: x0, y: y0, w: bw, h: bh },
+      dest:     { x: dx, y: dy, w: bw * sc, h: bh * sc },
+      canvas28: out,
+    };
+  }
+
+  /**
+   * Shear the drawing so its principal axis is vertical:
+   * x' = x − α·(y − ȳ), α = μ11 / μ02 of the ink.
+   */
+  function _deskew(src, box) {
+    const { x0, y0, x1, y1 } = box;
+    const bw  = x1 - x0 + 1, bh = y1 - y0 + 1;
+    const pix = src.getContext('2d').getImageData(x0, y0, bw, bh).data;
+
+    let m = 0, mx = 0, my = 0;
+    for (let y = 0; y < bh; y++) {
+      for (let x = 0; x < bw; x++) {
+        const v = pix[(y * bw + x) * 4];
+        m += v; mx += v * x; my += v * y;
+      }
+    }
+    if (!m) return { src, box };
+    mx /= m; my /= m;
+
+    let mu11 = 0, mu02 = 0;
+    for (let y = 0; y < bh; y++) {
+      for (let x = 0; x < bw; x++) {
+        const v = pix[(y * bw + x) * 4];
+        mu11 += v * (x - mx) * (y - my);
+        mu02 += v * (y - my) ** 2;
+      }
+    }
+    const alpha = Math.max(-MAX_SKEW, Math.min(MAX_SKEW, mu02 ? mu11 / mu02 : 0));
+    if (Math.abs(alpha) < 0.01) return { src, box };
+
+    // Widen the canvas so the sheared ink can't fall off the sides
+    const pad = Math.ceil(Math.abs(alpha) * src.height);
+    const out = document.createElement('canvas');
+    out.width  = src.width + pad * 2;
+    out.height = src.height;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.setTransform(1, 0, -alpha, 1, pad + alpha * (y0 + my), 0);
+    ctx.drawImage(src, 0, 0);
+
+    const next = _bbox(ctx.getImageData(0, 0, out.width, out.height).data, out.width, out.height);
+    return next ? { src: out, box: next } : { src, box };
+  }
+
+  /**
+   * Grow or shrink the ink so the pen width is STROKE_SHARE of
+   * the digit's height. Width is estimated as area / half the
+   * perimeter; strokes are never thinned below 1 px.
+   */
+  function _normaliseStroke(src, box) {
+    const W    = src.width, H = src.height;
+    const pix  = src.getContext('2d').getImageData(0, 0, W, H).data;
+    let mask   = new Uint8Array(W * H);
+    let area = 0, edge = 0;
+    for (let i = 0; i < mask.length; i++) mask[i] = pix[i * 4] > INK ? 1 : 0;
+
+    for (let y = box.y0; y <= box.y1; y++) {
+      for (let x = box.x0; x <= box.x1; x++) {
+        const i = y * W + x;
+        if (!mask[i]) continue;
+        area++;
+        if (x === 0 || y === 0 || x === W - 1 || y === H - 1
+            || !mask[i - 1] || !mask[i + 1] || !mask[i - W] || !mask[i + W]) edge++;
+      }
+    }
+    if (!edge) return { src, box };
+
+    const width  = 2 * area / edge;
+    const target = STROKE_SHARE * Math.max(box.x1 - box.x0, box.y1 - box.y0);
+    const steps  = Math.max(-Math.floor((width - 1) / 2), Math.round((target - width) / 2));
+    if (!steps) return { src, box };
+
+    // One pixel per pass, alternating 4- and 8-neighbourhoods for rounder ends
+    for (let s = 0; s < Math.abs(steps); s++) mask = _morph(mask, W, H, steps > 0, s % 2 === 1);
+
+    const out = document.createElement('canvas');
+    out.width  = W;
+    out.height = H;
+    const ctx = out.getContext('2d');
+    const img = ctx.createImageData(W, H);
+    for (let i = 0; i < mask.length; i++) {
+      const v = mask[i] ? 255 : 0;
+      img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = v;
+      img.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+
+    const next = _bbox(img.data, W, H);
+    return next ? { src: out, box: next } : { src, box };
+  }
+
+  /** One dilation (grow) or erosion pass over a 0/1 mask. */
+  function _morph(mask, W, H, grow, diagonal) {
+    const out = new Uint8Array(mask.length);
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        let hit = grow ? 0 : 1;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (!diagonal && dx && dy) continue;
+            const nx = x + dx, ny = y + dy;
+            const v  = nx < 0 || ny < 0 || nx >= W || ny >= H ? 0 : mask[ny * W + nx];
+            if (grow ? v : !v) hit = grow ? 1 : 0;
+          }
+        }
+        out[y * W + x] = hit;
+      }
+    }
+    return out;
+  }
+
+  /** 8-connected blobs of ink: { idx: pixel indices, x0, y0, x1, y1 }[] */
+  function _components(pix, W, H) {
+    const seen  = new Uint8Array(W * H);
+    const stack = new Int32Array(W * H);
+    const parts = [];
+
+    for (let start = 0; start < W * H; start++) {
+      if (seen[start] || pix[start * 4] <= INK) continue;
+      seen[start] = 1;
+      let top = 0;
+      stack[top++] = start;
+      const idx = [];
+
+      while (top) {
+        const i = stack[--top];
+        idx.push(i);
+        const x = i % W, y = (i / W) | 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx, ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= W || ny >= H) continue;
+            const n = ny * W + nx;
+            if (seen[n] || pix[n * 4] <= INK) continue;
+            seen[n] = 1;
+            stack[top++] = n;
+          }
+        }
+      }
+      parts.push(_withBox(idx, W));
+    }
+    return parts;
+  }
+
+  /** Join pieces that overlap horizontally — e.g. the bar of a 5. */
+  function _mergeColumns(parts) {
+    let merged = true;
+    while (merged) {
+      merged = false;
+      for (let a = 0; a < parts.length && !merged; a++) {
+        for (let b = a + 1; b < parts.length && !merged; b++) {
+          const A = parts[a], B = parts[b];
+          const overlap = Math.min(A.x1, B.x1) - Math.max(A.x0, B.x0);
+          const narrow  = Math.min(A.x1 - A.x0, B.x1 - B.x0) || 1;
+          if (overlap >= narrow * MERGE_OVERLAP) {
+            parts[a] = {
+              idx: A.idx.concat(B.idx),
+              x0: Math.min(A.x0, B.x0), y0: Math.min(A.y0, B.y0),
+              x1: Math.max(A.x1, B.x1), y1: Math.max(A.y1, B.y1),
+            };
+            parts.splice(b, 1);
+            merged = true;
+          }
+        }
+      }
+    }
+    return parts;
+  }
+
+  /** Recursively cut a too-wide piece at its emptiest middle column. */
+  /** keep(whole, pieces) → false undoes a cut (parts, pieces left to right). */
+  function _splitTouching(part, W, keep) {
+    const w = part.x1 - part.x0 + 1, h = part.y1 - part.y0 + 1;
+    if (w <= h * SPLIT_RATIO) return [part];
+
+    const cols = new Uint32Array(w);
+    part.idx.forEach(i => cols[i % W - part.x0]++);
+
+    let cut = -1;
+    for (let c = Math.floor(w * (0.5 - SPLIT_WINDOW)); c <= Math.ceil(w * (0.5 + SPLIT_WINDOW)); c++) {
+      if (cut < 0 || cols[c] < cols[cut]) cut = c;
+    }
+    if (cols[cut] > Math.max(...cols) * SPLIT_VALLEY) return [part];
+
+    const left = [], right = [];
+    part.idx.forEach(i => (i % W - part.x0 < cut ? left : right).push(i));
+    if (!left.length || !right.length) return [part];
+    const pieces = [
+      ..._splitTouching(_withBox(left, W), W, keep),
+      ..._splitTouching(_withBox(right, W), W, keep),
+    ];
+    return !keep || keep(part, pieces) ? pieces : [part];
+  }
+
+  function _withBox(idx, W) {
+    let x0 = Infinity, y0 = Infinity, x1 = -1, y1 = -1;
+    idx.forEach(i => {
+      const x = i % W, y = (i / W) | 0;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    });
+    return { idx, x0, y0, x1, y1 };
+  }
+
+  /** A full-size canvas holding only the given pixels. */
+  function _isolate(pix, idx, W, H) {
+    const c   = document.createElement('canvas');
+    c.width   = W;
+    c.height  = H;
+    const ctx = c.getContext('2d');
+    const img = ctx.createImageData(W, H);
+    for (let i = 3; i < img.data.length; i += 4) img.data[i] = 255;
+    idx.forEach(i => {
+      const o = i * 4;
+      img.data[o] = pix[o]; img.data[o + 1] = pix[o + 1]; img.data[o + 2] = pix[o + 2];
+    });
+    ctx.putImageData(img, 0, 0);
+    return c;
   }
 
   function _blank28() {
@@ -66,6 +529,6 @@ const Preprocessor = (() => {
     return c;
   }
 
-  return { prepare, isEmpty };
+  return { OPTIONS, setOptions, getOptions, prepare, inspect, segment, fromImage, toPixels, isEmpty };
 
 })();
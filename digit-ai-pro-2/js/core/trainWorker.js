@@ -0,0 +1,522 @@
+/**
+ * js/core/trainWorker.js
+ * ──────────────────────────────────────
+ * Dedicated Web Worker that decodes MNIST and runs fit(),
+ * so drawing and animations stay smooth while training.
+ * Only MnistModel talks to it.
+ *
+ * Page → worker:
+ *   { type: 'train', config, source }
+ *   { type: 'pause' } | { type: 'resume' } | { type: 'stop' }
+ *   { type: 'evaluate', artifacts, source, numTrain, numTest }
+ *   { type: 'finetune', artifacts, source, numTrain, samples, config }
+ *     samples is { pixels: Uint8Array(n × 784), labels: number[] }
+ *
+ * Worker → page:
+ *   { type: 'state',        state }   'loading' | 'training' | 'paused' | 'idle'
+ *   { type: 'dataProgress', msg, pct }
+ *   { type: 'batch',        epoch, batch, steps, loss, acc }
+ *   { type: 'epoch',        epoch, total, acc, loss, valAcc, valLoss }
+ *   { type: 'done',         finalAcc, epochsRun, artifacts }
+ *   { type: 'error',        message }
+ *   { type: 'evalProgress', msg, pct }
+ *   { type: 'evalDone',     result }   see _metrics(), plus mistakes
+ *   { type: 'evalError',    message }
+ *   { type: 'tuneProgress', msg, pct }
+ *   { type: 'tuneDone',     before, after, n, artifacts }
+ *   { type: 'tuneError',    message }
+ *
+ * artifacts is { modelTopology, weightSpecs, weightData } —
+ * weightData is transferred, not copied.
+ *
+ * With config.augment active, training batches are built on the
+ * fly by Augment.batch() from the raw arrays; the train split is
+ * never uploaded as one big tensor.
+ */
+
+// Keep the TF.js version in sync with index.html
+importScripts(
+  'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.17.0/dist/tf.min.js',
+  'mnistData.js',
+  'augment.js',
+  'architectures.js',
+);
+
+(() => {
+
+  const IMG_SIZE    = 784;
+  const NUM_CLASSES = 10;
+  const EVAL_BATCH  = 500;
+  const MAX_MISTAKES = 500;   // gallery samples sent back with an evaluation
+
+  // Mild jitter for the repeated copies of each user sample
+  const TUNE_AUGMENT = Object.freeze({ rotation: 0.4, translation: 0.4, scale: 0.4, stroke: 0.3 });
+
+  let _run       = null;   // { config, model, tensors, trainData, evalData, epoch, steps, batch, request, state }
+  let _evalCache = null;   // { key, x, y, n } — test split of the last evaluated source
+  let _replay    = null;   // { key, x, y, n, all } — random MNIST train subset for fine-tuning
+
+  self.onmessage = ({ data }) => {
+    switch (data.type) {
+      case 'train':  _train(data.config, data.source); break;
+      case 'pause':  _pause();  break;
+      case 'resume': _resume(); break;
+      case 'stop':   _stop();   break;
+      case 'evaluate': _evaluate(data); break;
+      case 'finetune': _fineTune(data); break;
+    }
+  };
+
+  /* ── Commands ────────────────────────────── */
+
+  async function _train(config, source) {
+    if (_run) return;
+    _run = { config, model: null, tensors: null, trainData: null, evalData: null, epoch: 0, steps: 0, batch: 0, request: null };
+    _setState('loading');
+
+    try {
+      const data = await MnistData.load(source, (msg, pct) => {
+        self.postMessage({ type: 'dataProgress', msg, pct });
+      }, config.numTrain, config.numTest);
+
+      _run.model = Architectures.build(config);
+
+      const nTrain = data.trainY.length / NUM_CLASSES;
+      const nTest  = data.testY.length  / NUM_CLASSES;
+      _run.steps   = Math.ceil(nTrain / config.batchSize);
+      _run.tensors = {
+        txs: tf.tensor4d(data.testX, [nTest, 28, 28, 1]),
+        tys: tf.tensor2d(data.testY, [nTest, NUM_CLASSES]),
+      };
+      if (Augment.isActive(config.augment)) {
+        _run.trainData = { x: data.trainX, y: data.trainY, n: nTrain };
+      } else {
+        _run.tensors.xs = tf.tensor4d(data.trainX, [nTrain, 28, 28, 1]);
+        _run.tensors.ys = tf.tensor2d(data.trainY, [nTrain, NUM_CLASSES]);
+      }
+
+      // Quick final eval set
+      const nEval = Math.min(500, nTest);
+      _run.evalData = {
+        x: data.testX.slice(0, nEval * IMG_SIZE),
+        y: data.testY.slice(0, nEval * NUM_CLASSES),
+        n: nEval,
+      };
+    } catch (err) {
+      _fail(err);
+      return;
+    }
+
+    await _fitLoop();
+  }
+
+  function _pause() {
+    if (!_run || _run.state !== 'training') return;
+    _run.request = 'pause';
+    _run.model.stopTraining = true;
+  }
+
+  function _resume() {
+    if (!_run || _run.state !== 'paused') return;
+    _run.request = null;
+    _fitLoop();
+  }
+
+  function _stop() {
+    if (!_run) return;
+    if (_run.state === 'paused') {
+      _run.request = 'stop';
+      _finish();
+    } else if (_run.state === 'training') {
+      _run.request = 'stop';
+      _run.model.stopTraining = true;
+    }
+  }
+
+  /**
+   * Score a model on the whole test split of a source.
+   * Runs between training runs, never during one.
+   */
+  async function _evaluate({ artifacts, source, numTrain, numTest }) {
+    const progress = (msg, pct) => self.postMessage({ type: 'evalProgress', msg, pct });
+    let model = null;
+
+    try {
+      const test = await _testSplit(source, numTrain, numTest, (msg, pct) => progress(msg, pct / 2));
+      model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+
+      const confusion = Array.from({ length: NUM_CLASSES }, () => new Array(NUM_CLASSES).fill(0));
+      const mistakes  = [];
+      for (let start = 0; start < test.n; start += EVAL_BATCH) {
+        const n     = Math.min(EVAL_BATCH, test.n - start);
+        const probs = tf.tidy(() => model.predict(
+          tf.tensor4d(test.x.subarray(start * IMG_SIZE, (start + n) * IMG_SIZE), [n, 28, 28, 1]),
+        ));
+        const p = await probs.data();
+        probs.dispose();
+
+        for (let i = 0; i < n; i++) {
+          const row       = p.subarray(i * NUM_CLASSES, (i + 1) * NUM_CLASSES);
+          const actual    = _labelAt(test.y, start + i);
+          const predicted = _argMax(row);
+          confusion[actual][predicted]++;
+          if (actual !== predicted && mistakes.length < MAX_MISTAKES) {
+            mistakes.push(_mistake(test.x, start + i, actual, predicted, row));
+          }
+        }
+        progress(`Evaluating ${start + n} / ${test.n}…`, 50 + Math.round((start + n) / test.n * 50));
+      }
+
+      self.postMessage({ type: 'evalDone', result: { ..._metrics(confusion), mistakes } });
+    } catch (err) {
+      self.postMessage({ type: 'evalError', message: err.message || String(err) });
+    } finally {
+      if (model) model.dispose();
+    }
+  }
+
+  /**
+   * Nudge a trained model towards the user's corrected samples.
+   * Each sample is repeated (lightly augmented) and mixed with a
+   * replay set of MNIST so the model doesn't forget the rest.
+   */
+  async function _fineTune({ artifacts, source, numTrain, samples, config }) {
+    const progress = (msg, pct) => self.postMessage({ type: 'tuneProgress', msg, pct });
+    let model = null;
+
+    try {
+      const n    = samples.labels.length;
+      const nRep = Math.max(config.minReplay, n * config.replayRatio);
+      const rep  = await _replaySet(source, numTrain, nRep, (msg, pct) => progress(msg, pct * 0.4));
+
+      model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+      model.compile({
+        optimizer: tf.train.adam(config.learningRate),
+        loss:      'categoricalCrossentropy',
+        metrics:   ['accuracy'],
+      });
+
+      const userX  = Float32Array.from(samples.pixels, v => v / 255);
+      const before = await _accuracy(model, userX, samples.labels);
+
+      // Mixed set: every user sample `repeat` times + the replay set
+      const total = n * config.repeat + rep.n;
+      const x     = new Float32Array(total * IMG_SIZE);
+      const y     = new Uint8Array(total * NUM_CLASSES);
+      let row = 0;
+      for (let i = 0; i < n; i++) {
+        const src = userX.subarray(i * IMG_SIZE, (i + 1) * IMG_SIZE);
+        for (let r = 0; r < config.repeat; r++, row++) {
+          const dst = x.subarray(row * IMG_SIZE, (row + 1) * IMG_SIZE);
+          if (r === 0) dst.set(src); else Augment.apply(src, dst, TUNE_AUGMENT);
+          y[row * NUM_CLASSES + samples.labels[i]] = 1;
+        }
+      }
+      x.set(rep.x, row * IMG_SIZE);
+      y.set(rep.y, row * NUM_CLASSES);
+
+      const xs = tf.tensor4d(x, [total, 28, 28, 1]);
+      const ys = tf.tensor2d(y, [total, NUM_CLASSES]);
+      progress('Fine-tuning…', 40);
+      try {
+        await model.fit(xs, ys, {
+          epochs:    config.epochs,
+          batchSize: config.batchSize,
+          shuffle:   true,
+          callbacks: {
+            onEpochEnd: (epoch) => progress(
+              `Fine-tuning ${epoch + 1} / ${config.epochs}…`,
+              40 + Math.round((epoch + 1) / config.epochs * 55)),
+          },
+        });
+      } finally {
+        xs.dispose();
+        ys.dispose();
+      }
+
+      const after = await _accuracy(model, userX, samples.labels);
+
+      let tuned = null;
+      await model.save(tf.io.withSaveHandler(async a => {
+        tuned = { modelTopology: a.modelTopology, weightSpecs: a.weightSpecs, weightData: a.weightData };
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+      }));
+
+      self.postMessage(
+        { type: 'tuneDone', before, after, n, artifacts: tuned },
+        [tuned.weightData],
+      );
+    } catch (err) {
+      self.postMessage({ type: 'tuneError', message: err.message || String(err) });
+    } finally {
+      if (model) _disposeModel(model);
+    }
+  }
+
+  /** Share of samples the model labels correctly. labels are plain digits. */
+  async function _accuracy(model, x, labels) {
+    const n     = labels.length;
+    const preds = tf.tidy(() => model.predict(tf.tensor4d(x, [n, 28, 28, 1])).argMax(-1));
+    const p     = await preds.data();
+    preds.dispose();
+    let hits = 0;
+    for (let i = 0; i < n; i++) if (p[i] === labels[i]) hits++;
+    return hits / n;
+  }
+
+  /**
+   * A random subset of the training split, kept between fine-tunes.
+   * Only the subset is cached — not the whole decoded dataset.
+   */
+  async function _replaySet(source, numTrain, size, onProgress) {
+    const key = _sourceKey(source, numTrain, 0);
+    if (_replay && _replay.key === key && (_replay.n >= size || _replay.n === _replay.all)) {
+      return _subset(_replay, size);
+    }
+
+    const data  = await MnistData.load(source, onProgress, numTrain, 0);
+    const nAll  = data.trainY.length / NUM_CLASSES;
+    const order = tf.util.createShuffledIndices(nAll);
+    const n     = Math.min(size, nAll);
+    const x     = new Float32Array(n * IMG_SIZE);
+    const y     = new Uint8Array(n * NUM_CLASSES);
+    for (let i = 0; i < n; i++) {
+      const s = order[i];
+      x.set(data.trainX.subarray(s * IMG_SIZE, (s + 1) * IMG_SIZE), i * IMG_SIZE);
+      y.set(data.trainY.subarray(s * NUM_CLASSES, (s + 1) * NUM_CLASSES), i * NUM_CLASSES);
+    }
+    _replay = { key, x, y, n, all: nAll };
+    return _replay;
+  }
+
+  function _subset(set, size) {
+    const n = Math.min(size, set.n);
+    return { x: set.x.subarray(0, n * IMG_SIZE), y: set.y.subarray(0, n * NUM_CLASSES), n };
+  }
+
+  async function _testSplit(source, numTrain, numTest, onProgress) {
+    const key = _sourceKey(source, numTrain, numTest);
+    if (_evalCache && _evalCache.key === key) return _evalCache;
+
+    // Everything outside the train split, cut where training cut it
+    const data = await MnistData.load(source, onProgress, numTrain, numTest, true);
+    _evalCache = { key, x: data.testX, y: data.testY, n: data.testY.length / NUM_CLASSES };
+    return _evalCache;
+  }
+
+  function _sourceKey(source, numTrain, numTest) {
+    const where = !source || source.kind !== 'files'
+      ? [source?.imagesUrl, source?.labelsUrl]
+      : Array.from(source.files).map(f => `${f.name}:${f.size}:${f.lastModified}`);
+    return JSON.stringify([where, numTrain, numTest]);
+  }
+
+  /**
+   * One wrongly classified test image for the gallery.
+   * @returns {{ index, actual, predicted, top3: { digit, prob }[], pixels: Uint8ClampedArray }}
+   */
+  function _mistake(x, index, actual, predicted, probs) {
+    const pixels = new Uint8ClampedArray(IMG_SIZE);
+    const src    = x.subarray(index * IMG_SIZE, (index + 1) * IMG_SIZE);
+    for (let i = 0; i < IMG_SIZE; i++) pixels[i] = src[i] * 255;
+
+    const top3 = Array.from(probs, (prob, digit) => ({ digit, prob }))
+      .sort((a, b) => b.prob - a.prob)
+      .slice(0, 3);
+    return { index, actual, predicted, top3, pixels };
+  }
+
+  function _argMax(row) {
+    let best = 0;
+    for (let i = 1; i < row.length; i++) if (row[i] > row[best]) best = i;
+    return best;
+  }
+
+  function _labelAt(y, i) {
+    for (let c = 0; c < NUM_CLASSES; c++) if (y[i * NUM_CLASSES + c]) return c;
+    return 0;
+  }
+
+  /**
+   * @param {number[][]} confusion  [true][predicted] counts
+   * @returns {{ n, accuracy, confusion, perClass: { digit, support, precision, recall, f1 }[],
+   *             topConfusions: { actual, predicted, count }[] }}
+   */
+  function _metrics(confusion) {
+    let n = 0, correct = 0;
+    const perClass = confusion.map((row, d) => {
+      const tp      = row[d];
+      const support = row.reduce((a, b) => a + b, 0);
+      const predCnt = confusion.reduce((a, r) => a + r[d], 0);
+      const precision = predCnt ? tp / predCnt : 0;
+      const recall    = support ? tp / support : 0;
+      const f1        = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+      n       += support;
+      correct += tp;
+      return { digit: d, support, precision, recall, f1 };
+    });
+
+    const topConfusions = [];
+    confusion.forEach((row, actual) => row.forEach((count, predicted) => {
+      if (actual !== predicted && count > 0) topConfusions.push({ actual, predicted, count });
+    }));
+    topConfusions.sort((a, b) => b.count - a.count);
+
+    return {
+      n,
+      accuracy: n ? correct / n : 0,
+      confusion,
+      perClass,
+      topConfusions: topConfusions.slice(0, 5),
+    };
+  }
+
+  /* ── Run lifecycle ───────────────────────── */
+
+  async function _fitLoop() {
+    const { config, model, tensors, trainData } = _run;
+    _setState('training');
+
+    const args = {
+      epochs:         config.epochs,
+      initialEpoch:   _run.epoch,
+      validationData: [tensors.txs, tensors.tys],
+      callbacks: {
+        onBatchEnd: (batch, logs) => {
+          _run.batch = batch + 1;
+          self.postMessage({
+            type:  'batch',
+            epoch: _run.epoch + 1,
+            batch: batch + 1,
+            steps: _run.steps,
+            loss:  logs.loss ?? 0,
+            acc:   logs.acc  ?? 0,
+          });
+        },
+        onEpochEnd: async (epoch, logs) => {
+          // stopTraining can end the epoch early, with partial logs:
+          // leave it uncounted so a resume runs it again
+          if (_run.request && _run.batch < _run.steps) return;
+          // fitDataset skips validation when stopped after the last batch
+          if (logs.val_loss === undefined) logs = { ...logs, ...await _validate() };
+          _run.epoch = epoch + 1;
+          self.postMessage({
+            type:    'epoch',
+            epoch:   epoch + 1,
+            total:   config.epochs,
+            acc:     logs.acc      ?? 0,
+            loss:    logs.loss     ?? 0,
+            valAcc:  logs.val_acc  ?? 0,
+            valLoss: logs.val_loss ?? 0,
+          });
+        },
+      },
+    };
+
+    try {
+      if (trainData) {
+        await model.fitDataset(_augmentedDataset(trainData, config), args);
+      } else {
+        await model.fit(tensors.xs, tensors.ys, { ...args, batchSize: config.batchSize, shuffle: true });
+      }
+    } catch (err) {
+      _fail(err);
+      return;
+    }
+
+    if (_run.request === 'pause') {
+      model.stopTraining = false;
+      _setState('paused');
+      return;
+    }
+    await _finish();
+  }
+
+  /** Val loss / accuracy on the run's test tensors, as fit() logs them. */
+  async function _validate() {
+    const { model, tensors, config } = _run;
+    const [loss, acc] = model.evaluate(tensors.txs, tensors.tys, { batchSize: config.batchSize });
+    const [valLoss, valAcc] = await Promise.all([loss.data(), acc.data()]);
+    loss.dispose();
+    acc.dispose();
+    return { val_loss: valLoss[0], val_acc: valAcc[0] };
+  }
+
+  /** Evaluate, serialise the weights and hand them to the page. */
+  async function _finish() {
+    const { model, evalData, epoch } = _run;
+
+    try {
+      _disposeTensors();
+
+      const evalXs = tf.tensor4d(evalData.x, [evalData.n, 28, 28, 1]);
+      const evalYs = tf.tensor2d(evalData.y, [evalData.n, NUM_CLASSES]);
+      const [, accTensor] = model.evaluate(evalXs, evalYs);
+      const finalAcc = (await accTensor.data())[0];
+      [evalXs, evalYs, accTensor].forEach(t => t.dispose());
+
+      let artifacts = null;
+      await model.save(tf.io.withSaveHandler(async a => {
+        artifacts = { modelTopology: a.modelTopology, weightSpecs: a.weightSpecs, weightData: a.weightData };
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+      }));
+      _disposeModel(model);
+
+      _setState('idle');
+      _run = null;
+      self.postMessage(
+        { type: 'done', finalAcc, epochsRun: epoch, artifacts },
+        [artifacts.weightData],
+      );
+    } catch (err) {
+      _fail(err);
+    }
+  }
+
+  function _fail(err) {
+    const { model } = _run;
+    _disposeTensors();
+    if (model) _disposeModel(model);
+    _setState('idle');
+    _run = null;
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+
+  /**
+   * Shuffled, augmented batches — a fresh pass every epoch.
+   * fitDataset disposes each batch after its training step.
+   */
+  function _augmentedDataset({ x, y, n }, config) {
+    return tf.data.generator(function* () {
+      const order = tf.util.createShuffledIndices(n);
+      for (let start = 0; start < n; start += config.batchSize) {
+        const idx = order.subarray(start, Math.min(start + config.batchSize, n));
+        const bx  = Augment.batch(x, idx, config.augment);
+        const by  = new Uint8Array(idx.length * NUM_CLASSES);
+        idx.forEach((s, i) => by.set(y.subarray(s * NUM_CLASSES, (s + 1) * NUM_CLASSES), i * NUM_CLASSES));
+        yield {
+          xs: tf.tensor4d(bx, [idx.length, 28, 28, 1]),
+          ys: tf.tensor2d(by, [idx.length, NUM_CLASSES]),
+        };
+      }
+    });
+  }
+
+  /* Adam was passed in as an instance, so model.dispose() leaves it behind */
+  function _disposeModel(model) {
+    if (model.optimizer) model.optimizer.dispose();
+    model.dispose();
+  }
+
+  function _disposeTensors() {
+    if (!_run.tensors) return;
+    Object.values(_run.tensors).forEach(t => t.dispose());
+    _run.tensors = null;
+  }
+
+  function _setState(state) {
+    _run.state = state;
+    self.postMessage({ type: 'state', state });
+  }
+
+})();
@@ -0,0 +1,274 @@
+/**
+ * js/core/userSamples.js
+ * ──────────────────────────────────────
+ * The user's own labelled digits, kept in IndexedDB
+ * so they survive reloads.
+ *
+ * A sample is:
+ *   { id, label, pixels, createdAt, strokes? }
+ *   pixels:  Uint8Array(784), the preprocessed 28×28
+ *            image, 0 = background, 255 = ink
+ *   strokes: the drawing as CanvasManager.toJSON(), when it
+ *            was drawn by hand — lets it be preprocessed again.
+ *            Imported strokes that don't match that format are
+ *            dropped; the sample keeps its pixels
+ *
+ * Usage:
+ *   await UserSamples.add(pixels, label, strokes?) → id
+ *   await UserSamples.all()              → sample[]  (oldest first)
+ *   await UserSamples.count()            → number
+ *   await UserSamples.remove(id)
+ *   await UserSamples.relabel(id, label)
+ *
+ * Bundles (download / read back):
+ *   'idx'   samples-images-idx3-ubyte + samples-labels-idx1-ubyte
+ *   'png'   samples_images.png + samples_labels_uint8 — the
+ *           sprite + one-hot layout MnistData reads for training
+ *   'json'  samples.json, pixels base64-encoded, strokes kept
+ *   await UserSamples.exportBundle(format)
+ *   await UserSamples.importBundle(files) → number added
+ */
+
+const UserSamples = (() => {
+
+  const DB_NAME     = 'digit-ai';
+  const DB_VERSION  = 1;
+  const STORE       = 'samples';
+  const IMG_SIZE    = 784;
+  const NUM_CLASSES = 10;
+
+  const JSON_FORMAT = 'digit-ai-samples';
+  const FORMATS     = ['idx', 'png', 'json'];
+
+  // CanvasManager.toJSON() — see canvas.js
+  const STROKES_FORMAT = 'digit-ai-strokes';
+  const STROKE_TOOLS   = ['pen', 'eraser'];
+
+  let _db = null;
+
+  /* ── Public API ──────────────────────────── */
+
+  /**
+   * @param {Uint8Array} pixels  784 grey values
+   * @param {number} label       true digit 0–9
+   * @param {object} [strokes]   CanvasManager.toJSON() of the drawing
+   * @returns {Promise<number>}  new sample id
+   */
+  async function add(pixels, label, strokes) {
+    const sample = _sample(pixels, label, Date.now(), strokes);
+    return _request('readwrite', store => store.add(sample));
+  }
+
+  async function all() {
+    return _request('readonly', store => store.getAll());
+  }
+
+  async function count() {
+    return _request('readonly', store => store.count());
+  }
+
+  async function remove(id) {
+    return _request('readwrite', store => store.delete(id));
+  }
+
+  async function relabel(id, label) {
+    _checkLabel(label);
+    const sample = await _request('readonly', store => store.get(id));
+    if (!sample) throw new Error(`Sample ${id} no longer exists.`);
+    return _request('readwrite', store => store.put({ ...sample, label }));
+  }
+
+  /**
+   * Download every sample in one of FORMATS.
+   * @param {'idx'|'png'|'json'} format
+   */
+  async function exportBundle(format) {
+    if (!FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+    const samples = await all();
+    if (!samples.length) throw new Error('No samples to export.');
+
+    if (format === 'json') {
+      const bundle = {
+        format:  JSON_FORMAT,
+        version: 1,
+        samples: samples.map(s => ({
+          label: s.label, createdAt: s.createdAt, pixels: _toBase64(s.pixels), strokes: s.strokes,
+        })),
+      };
+      _download(new Blob([JSON.stringify(bundle)], { type: 'application/json' }), 'samples.json');
+      return;
+    }
+
+    if (format === 'idx') {
+      _download(new Blob([_idxImages(samples)]), 'samples-images-idx3-ubyte');
+      _download(new Blob([_idxLabels(samples)]), 'samples-labels-idx1-ubyte');
+      return;
+    }
+
+    _download(await _sprite(samples), 'samples_images.png');
+    _download(new Blob([_oneHot(samples)]), 'samples_labels_uint8');
+  }
+
+  /**
+   * Add the samples from a bundle written by exportBundle()
+   * (or any MNIST-style images + labels pair).
+   * @param {FileList|File[]} files  one .json, or an images + labels pair
+   * @returns {Promise<number>} samples added
+   */
+  async function importBundle(files) {
+    const list = Array.from(files || []);
+    const json = list.filter(f => f.name.endsWith('.json'));
+
+    let samples;
+    if (json.length) {
+      samples = (await Promise.all(json.map(_readJson))).flat();
+    } else {
+      const { images, labels, count: n } = await MnistData.readPair(list);
+      samples = Array.from({ length: n }, (_, i) => {
+        const pixels = new Uint8Array(IMG_SIZE);
+        for (let p = 0; p < IMG_SIZE; p++) pixels[p] = Math.round(images[i * IMG_SIZE + p] * 255);
+        const label = labels.subarray(i * NUM_CLASSES, (i + 1) * NUM_CLASSES).indexOf(1);
+        return _sample(pixels, label, Date.now());
+      });
+    }
+
+    // One transaction: a bad bundle adds nothing
+    const db = await _open();
+    await new Promise((resolve, reject) => {
+      const tx    = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      samples.forEach(s => store.add(s));
+      tx.oncomplete = resolve;
+      tx.onerror    = () => reject(tx.error);
+    });
+    return samples.length;
+  }
+
+  /* ── Private ─────────────────────────────── */
+
+  function _sample(pixels, label, createdAt, strokes) {
+    if (pixels.length !== IMG_SIZE) throw new Error(`Sample has ${pixels.length} pixels, expected ${IMG_SIZE}.`);
+    _checkLabel(label);
+    const sample = { label, pixels: Uint8Array.from(pixels), createdAt };
+    if (strokes?.strokes?.length && _isStrokes(strokes)) sample.strokes = strokes;
+    return sample;
+  }
+
+  /** Does data match CanvasManager.toJSON()? Bundles may carry anything. */
+  function _isStrokes(data) {
+    const num = v => typeof v === 'number' && Number.isFinite(v);
+    return data.format === STROKES_FORMAT
+      && num(data.width) && data.width > 0
+      && num(data.height) && data.height > 0
+      && Array.isArray(data.strokes)
+      && data.strokes.every(s => s
+        && STROKE_TOOLS.includes(s.tool)
+        && num(s.size) && s.size > 0
+        && Array.isArray(s.points) && s.points.length > 0
+        && s.points.every(p => Array.isArray(p) && p.length === 3 && p.every(num)));
+  }
+
+  function _checkLabel(label) {
+    if (!Number.isInteger(label) || label < 0 || label >= NUM_CLASSES) {
+      throw new Error(`Label ${label} is not a digit.`);
+    }
+  }
+
+  async function _readJson(file) {
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch {
+      throw new Error(`${file.name} is not valid JSON.`);
+    }
+    if (bundle.format !== JSON_FORMAT || !Array.isArray(bundle.samples)) {
+      throw new Error(`${file.name} is not a digit-ai sample bundle.`);
+    }
+    return bundle.samples.map(s => _sample(_fromBase64(s.pixels), s.label, s.createdAt ?? Date.now(), s.strokes));
+  }
+
+  function _idxImages(samples) {
+    const buf  = new Uint8Array(16 + samples.length * IMG_SIZE);
+    const view = new DataView(buf.buffer);
+    view.setUint32(0, 0x00000803);
+    view.setUint32(4, samples.length);
+    view.setUint32(8, 28);
+    view.setUint32(12, 28);
+    samples.forEach((s, i) => buf.set(s.pixels, 16 + i * IMG_SIZE));
+    return buf;
+  }
+
+  function _idxLabels(samples) {
+    const buf  = new Uint8Array(8 + samples.length);
+    const view = new DataView(buf.buffer);
+    view.setUint32(0, 0x00000801);
+    view.setUint32(4, samples.length);
+    samples.forEach((s, i) => { buf[8 + i] = s.label; });
+    return buf;
+  }
+
+  function _oneHot(samples) {
+    const buf = new Uint8Array(samples.length * NUM_CLASSES);
+    samples.forEach((s, i) => { buf[i * NUM_CLASSES + s.label] = 1; });
+    return buf;
+  }
+
+  /** One sample per 784-pixel row, grey in every channel. */
+  function _sprite(samples) {
+    const canvas = document.createElement('canvas');
+    canvas.width  = IMG_SIZE;
+    canvas.height = samples.length;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(IMG_SIZE, samples.length);
+    samples.forEach((s, i) => s.pixels.forEach((v, p) => {
+      const o = (i * IMG_SIZE + p) * 4;
+      img.data[o] = img.data[o + 1] = img.data[o + 2] = v;
+      img.data[o + 3] = 255;
+    }));
+    ctx.putImageData(img, 0, 0);
+    return new Promise((resolve, reject) => canvas.toBlob(
+      b => b ? resolve(b) : reject(new Error('Could not encode the PNG sprite.')),
+      'image/png',
+    ));
+  }
+
+  function _toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  function _fromBase64(str) {
+    return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+  }
+
+  function _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a   = Object.assign(document.createElement('a'), { href: url, download: filename });
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function _open() {
+    if (_db) return Promise.resolve(_db);
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => { _db = req.result; resolve(_db); };
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  /** Run one request in its own transaction. */
+  async function _request(mode, fn) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  return { FORMATS, add, all, count, remove, relabel, exportBundle, importBundle };
+
+})();
@@ -4,35 +4,64 @@
  * Handles all drawing input on the canvas.
  * Smooth quadratic interpolation for strokes.
  *
+ * Every stroke is recorded, so the pixels can always be
+ * rebuilt from the history:
+ *   { tool: 'pen'|'eraser', size, points: [[x, y, t], …] }
+ *   x, y in canvas pixels; t in ms since the drawing began
+ *
  * Public:
  *   CanvasManager.clear()
- *   CanvasManager.hasDrawn   (bool)
+ *   CanvasManager.drawImage(img) — replace the drawing with an image
+ *   CanvasManager.showBoxes(boxes) / clearBoxes() — segment outlines
+ *   CanvasManager.showHeatmap(map, signed, rect) / clearHeatmap() — saliency overlay
+ *   CanvasManager.on(type, fn) — 'strokestart' | 'stroke' | 'strokeend' | 'change'
+ *   CanvasManager.undo() / redo() → bool (false if nothing to do)
+ *   CanvasManager.setTool('pen'|'eraser') / getTool()
+ *   CanvasManager.replay() → Promise — redraw at the original speed
+ *   CanvasManager.toJSON() / fromJSON(data) — save / restore strokes
+ *   CanvasManager.render(data, canvas) — draw saved strokes onto any canvas
+ *   CanvasManager.hasDrawn / canUndo / canRedo   (bool)
+ *   CanvasManager.hasImage   (bool) — a drawImage() picture is under the strokes
  *   CanvasManager.getCanvas() → HTMLCanvasElement
  */
 
 const CanvasManager = (() => {
 
+  const BG          = '#020408';
+  const INK         = '#ffffff';
+  const JSON_FORMAT = 'digit-ai-strokes';
+  const MAX_PAUSE   = 600;    // ms — replay shortens longer gaps between strokes
+
   let _canvas   = null;
   let _ctx      = null;
+  let _boxes    = null;   // overlay canvas for segment boxes
+  let _heat     = null;   // overlay canvas for saliency heatmaps
   let _drawing  = false;
   let _hasDrawn = false;
-  let _lx       = 0, _ly = 0;
+  let _tool     = 'pen';
+
+  let _strokes  = [];     // drawn, oldest first
+  let _undone   = [];     // undone, most recent last
+  let _stroke   = null;   // the stroke being drawn
+  let _base     = null;   // image from drawImage(), under the strokes
+  let _t0       = 0;      // performance.now() of the first point
+  let _replayId = 0;      // bumped to cancel a running replay
+  let _playing  = false;
+
+  const _listeners = { strokestart: [], stroke: [], strokeend: [], change: [] };
 
   function init(canvasId) {
     _canvas = document.getElementById(canvasId);
     _ctx    = _canvas.getContext('2d');
+    _boxes  = document.getElementById('boxCanvas');
+    _heat   = document.getElementById('heatCanvas');
     _initCtx();
     _bind();
   }
 
   function _initCtx() {
-    _ctx.fillStyle   = '#020408';
+    _ctx.fillStyle = BG;
     _ctx.fillRect(0, 0, _canvas.width, _canvas.height);
-    _ctx.strokeStyle = '#ffffff';
-    _ctx.lineCap     = 'round';
-    _ctx.lineJoin    = 'round';
-    _ctx.shadowColor = 'rgba(255,255,255,0.28)';
-    _ctx.shadowBlur  = 2;
   }
 
   function _brushSize() {
@@ -56,49 +85,391 @@ const CanvasManager = (() => {
   }
 
   function _start(e) {
+    if (_playing) return;
     _drawing  = true;
     _hasDrawn = true;
-    [_lx, _ly] = _getPos(e);
+    clearBoxes();
+    clearHeatmap();
 
-    // Draw dot for single tap/click
-    const s = _brushSize();
-    _ctx.beginPath();
-    _ctx.arc(_lx, _ly, s / 2, 0, Math.PI * 2);
-    _ctx.fillStyle = '#ffffff'; _ctx.fill();
+    if (!_strokes.length) _t0 = performance.now();
+    const [x, y] = _getPos(e);
+    _stroke = { tool: _tool, size: _brushSize(), points: [[x, y, _now()]] };
+    _undone = [];
+    _dot(_ctx, _stroke, 1);
 
     document.getElementById('canvasRing')?.classList.add('is-drawing');
     document.getElementById('canvasOverlay')?.classList.add('is-hidden');
+    _emit('strokestart');
   }
 
   function _move(e) {
     if (!_drawing) return;
     const [x, y] = _getPos(e);
-    _ctx.lineWidth = _brushSize();
-    _ctx.beginPath();
-    _ctx.moveTo(_lx, _ly);
-    const mx = (_lx + x) / 2, my = (_ly + y) / 2;
-    _ctx.quadraticCurveTo(_lx, _ly, mx, my);
-    _ctx.lineTo(x, y);
-    _ctx.stroke();
-    [_lx, _ly] = [x, y];
+    const pts = _stroke.points;
+    pts.push([x, y, _now()]);
+    _segment(_ctx, _stroke, pts.length - 1, 1);
+    _emit('stroke');
   }
 
   function _end() {
+    if (!_drawing) return;
     _drawing = false;
+    _strokes.push(_stroke);
+    _stroke = null;
     document.getElementById('canvasRing')?.classList.remove('is-drawing');
+    _emit('strokeend');
+  }
+
+  function _now() {
+    return Math.round(performance.now() - _t0);
+  }
+
+  /* ── Stroke rendering ────────────────────── */
+
+  // The same three steps draw live input, redraws and replays,
+  // so a rebuilt drawing matches what was on screen.
+
+  function _style(ctx, stroke, k) {
+    const ink = stroke.tool === 'eraser' ? BG : INK;
+    ctx.strokeStyle = ctx.fillStyle = ink;
+    ctx.lineWidth   = stroke.size * k;
+    ctx.lineCap     = 'round';
+    ctx.lineJoin    = 'round';
+    ctx.shadowColor = stroke.tool === 'eraser' ? 'transparent' : 'rgba(255,255,255,0.28)';
+    ctx.shadowBlur  = 2 * k;
+  }
+
+  /** Dot for a single tap/click — the start of every stroke. */
+  function _dot(ctx, stroke, k) {
+    const [x, y] = stroke.points[0];
+    _style(ctx, stroke, k);
+    ctx.beginPath();
+    ctx.arc(x * k, y * k, stroke.size * k / 2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /** Segment from point i-1 to point i. */
+  function _segment(ctx, stroke, i, k) {
+    const [lx, ly] = stroke.points[i - 1].map(v => v * k);
+    const [x, y]   = stroke.points[i].map(v => v * k);
+    _style(ctx, stroke, k);
+    ctx.beginPath();
+    ctx.moveTo(lx, ly);
+    ctx.quadraticCurveTo(lx, ly, (lx + x) / 2, (ly + y) / 2);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  }
+
+  function _drawStroke(ctx, stroke, k) {
+    _dot(ctx, stroke, k);
+    for (let i = 1; i < stroke.points.length; i++) _segment(ctx, stroke, i, k);
+  }
+
+  /** Rebuild the pixels from the base image and the stroke history. */
+  function _redraw() {
+    clearBoxes();
+    clearHeatmap();
+    _paintBase();
+    _strokes.forEach(s => _drawStroke(_ctx, s, 1));
+    _hasDrawn = !!_base || _strokes.length > 0;
+    document.getElementById('canvasOverlay')?.classList.toggle('is-hidden', _hasDrawn);
+  }
+
+  function _paintBase() {
+    _ctx.save();
+    _ctx.shadowBlur = 0;
+    _ctx.fillStyle  = BG;
+    _ctx.fillRect(0, 0, _canvas.width, _canvas.height);
+    if (_base) _ctx.drawImage(_base, 0, 0);
+    _ctx.restore();
+  }
+
+  /* ── History ─────────────────────────────── */
+
+  function undo() {
+    if (_drawing || !_strokes.length) return false;
+    _stopReplay();
+    _undone.push(_strokes.pop());
+    _redraw();
+    _emit('change');
+    return true;
+  }
+
+  function redo() {
+    if (_drawing || !_undone.length) return false;
+    _stopReplay();
+    _strokes.push(_undone.pop());
+    _redraw();
+    _emit('change');
+    return true;
+  }
+
+  function setTool(tool) {
+    if (tool !== 'pen' && tool !== 'eraser') throw new Error(`Unknown tool: ${tool}`);
+    _tool = tool;
+  }
+
+  function getTool() { return _tool; }
+
+  /* ── Replay ──────────────────────────────── */
+
+  /**
+   * Redraw the strokes at the speed they were drawn.
+   * Pauses between strokes are capped at MAX_PAUSE.
+   * Resolves when done (or when cut short by clear / undo / redo).
+   */
+  function replay() {
+    if (_drawing || !_strokes.length) return Promise.resolve();
+    const id = ++_replayId;
+
+    // Start at once, and move each stroke earlier by the idle time trimmed before it
+    let shift = _strokes[0].points[0][2], prevEnd = null;
+    const plan = _strokes.map(stroke => {
+      const start = stroke.points[0][2];
+      if (prevEnd !== null) shift += Math.max(0, start - prevEnd - MAX_PAUSE);
+      prevEnd = stroke.points[stroke.points.length - 1][2];
+      return { stroke, shift, drawn: 0 };
+    });
+
+    clearBoxes();
+    clearHeatmap();
+    _paintBase();
+    _playing = true;
+
+    return new Promise(resolve => {
+      const begin = performance.now();
+      const frame = () => {
+        if (id !== _replayId) { resolve(); return; }
+        const elapsed = performance.now() - begin;
+
+        plan.forEach(p => {
+          const pts = p.stroke.points;
+          while (p.drawn < pts.length && pts[p.drawn][2] - p.shift <= elapsed) {
+            if (p.drawn === 0) {
+              _dot(_ctx, p.stroke, 1);
+              _emit('strokestart');
+            } else {
+              _segment(_ctx, p.stroke, p.drawn, 1);
+              _emit('stroke');
+            }
+            if (++p.drawn === pts.length) _emit('strokeend');
+          }
+        });
+
+        if (plan.every(p => p.drawn === p.stroke.points.length)) {
+          _playing = false;
+          resolve();
+        } else {
+          requestAnimationFrame(frame);
+        }
+      };
+      requestAnimationFrame(frame);
+    });
+  }
+
+  function _stopReplay() {
+    if (!_playing) return;
+    _replayId++;
+    _playing = false;
+    _redraw();
+  }
+
+  /* ── Serialisation ───────────────────────── */
+
+  /**
+   * The stroke history as plain JSON. Coordinates are kept
+   * in this canvas's pixels, with its size alongside, so
+   * render() / fromJSON() can scale them to any canvas.
+   * An image from drawImage() is not included.
+   */
+  function toJSON() {
+    return {
+      format:  JSON_FORMAT,
+      version: 1,
+      width:   _canvas.width,
+      height:  _canvas.height,
+      strokes: _strokes.map(s => ({ ...s, points: s.points.map(p => p.slice()) })),
+    };
+  }
+
+  /** Replace the drawing with saved strokes (undo history starts over). */
+  function fromJSON(data) {
+    _checkJSON(data);
+    const k = _canvas.width / data.width;
+    _stopReplay();
+    _base    = null;
+    _undone  = [];
+    _strokes = data.strokes.map(s => _scaleStroke(s, k));
+
+    // Strokes drawn next carry on from the end of the recording
+    const last = _strokes[_strokes.length - 1];
+    _t0 = performance.now() - (last ? last.points[last.points.length - 1][2] : 0);
+    _redraw();
+    _emit('change');
+  }
+
+  /**
+   * Draw saved strokes onto any canvas, scaled to its width.
+   * @param {object} data           from toJSON()
+   * @param {HTMLCanvasElement} canvas
+   */
+  function render(data, canvas) {
+    _checkJSON(data);
+    const k   = canvas.width / data.width;
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.fillStyle = BG;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    data.strokes.forEach(s => _drawStroke(ctx, s, k));
+    ctx.restore();
+  }
+
+  function _checkJSON(data) {
+    if (data?.format !== JSON_FORMAT || !Array.isArray(data.strokes) || !(data.width > 0)) {
+      throw new Error('Not a digit-ai stroke recording.');
+    }
+  }
+
+  function _scaleStroke(s, k) {
+    return {
+      tool:   s.tool === 'eraser' ? 'eraser' : 'pen',
+      size:   s.size * k,
+      points: s.points.map(([x, y, t]) => [x * k, y * k, t]),
+    };
+  }
+
+  /**
+   * Listen for drawing: 'strokestart' on pen down, 'stroke' on
+   * every segment drawn, 'strokeend' on pen up — also fired while
+   * a replay redraws. 'change' when undo / redo / fromJSON
+   * replace the drawing at once.
+   */
+  function on(type, fn) {
+    if (!_listeners[type]) throw new Error(`Unknown canvas event: ${type}`);
+    _listeners[type].push(fn);
+  }
+
+  function _emit(type) {
+    _listeners[type].forEach(fn => fn());
   }
 
   function clear() {
-    _ctx.fillStyle = '#020408';
+    _replayId++;
+    _playing  = false;
+    _drawing  = false;
+    _stroke   = null;
+    _strokes  = [];
+    _undone   = [];
+    _base     = null;
+    _ctx.fillStyle = BG;
     _ctx.fillRect(0, 0, _canvas.width, _canvas.height);
     _hasDrawn = false;
+    clearBoxes();
+    clearHeatmap();
     document.getElementById('canvasOverlay')?.classList.remove('is-hidden');
   }
 
+  /**
+   * Outline each segment of a multi-digit drawing.
+   * @param {{ x0, y0, x1, y1, text }[]} boxes  drawing-canvas pixels
+   */
+  function showBoxes(boxes) {
+    if (!_boxes) return;
+    const ctx = _boxes.getContext('2d');
+    const css = getComputedStyle(_boxes);
+    const pad = 6;
+
+    ctx.clearRect(0, 0, _boxes.width, _boxes.height);
+    ctx.strokeStyle  = css.getPropertyValue('--accent').trim() || '#00f0ff';
+    ctx.fillStyle    = ctx.strokeStyle;
+    ctx.lineWidth    = 1.5;
+    ctx.font         = `11px ${css.getPropertyValue('--font-mono').trim() || 'monospace'}`;
+    ctx.textBaseline = 'bottom';
+    ctx.setLineDash([4, 3]);
+
+    boxes.forEach(b => {
+      const x = Math.max(1, b.x0 - pad), y = Math.max(14, b.y0 - pad);
+      ctx.strokeRect(x, y, b.x1 - b.x0 + pad * 2, b.y1 - b.y0 + pad * 2);
+      if (b.text) ctx.fillText(b.text, x, y - 2);
+    });
+  }
+
+  function clearBoxes() {
+    _boxes?.getContext('2d').clearRect(0, 0, _boxes.width, _boxes.height);
+  }
+
+  /**
+   * Tint the drawing by a 28×28 saliency map.
+   * @param {Float32Array} map   784 values, −1…1
+   * @param {boolean} signed     colour negatives too (else only > 0)
+   * @param {{ x, y, w, h }} rect  where the 28×28 input lies on the canvas
+   */
+  function showHeatmap(map, signed, rect) {
+    if (!_heat) return;
+    const css = getComputedStyle(_heat);
+    const pos = css.getPropertyValue(signed ? '--col-positive' : '--col-amber').trim() || '#00c8ff';
+    const neg = css.getPropertyValue('--col-negative').trim() || '#ff4d6d';
+
+    const cells = document.createElement('canvas');
+    cells.width = cells.height = 28;
+    const cctx = cells.getContext('2d');
+    map.forEach((v, i) => {
+      if (Math.abs(v) < 0.05 || (!signed && v < 0)) return;
+      cctx.globalAlpha = Math.min(1, Math.abs(v)) * 0.85;
+      cctx.fillStyle   = v > 0 ? pos : neg;
+      cctx.fillRect(i % 28, Math.floor(i / 28), 1, 1);
+    });
+
+    const ctx = _heat.getContext('2d');
+    ctx.clearRect(0, 0, _heat.width, _heat.height);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(cells, rect.x, rect.y, rect.w, rect.h);
+  }
+
+  function clearHeatmap() {
+    _heat?.getContext('2d').clearRect(0, 0, _heat.width, _heat.height);
+  }
+
+  /**
+   * Replace the drawing with an image (e.g. a 28×28 test sample),
+   * scaled up to fill the canvas as if it had been drawn.
+   * Strokes drawn afterwards go on top and can be undone.
+   * @param {CanvasImageSource} img  white digit on black
+   */
+  function drawImage(img) {
+    clear();
+    _base = document.createElement('canvas');
+    _base.width  = _canvas.width;
+    _base.height = _canvas.height;
+    const bctx = _base.getContext('2d');
+    bctx.imageSmoothingEnabled = true;
+    bctx.drawImage(img, 0, 0, _canvas.width, _canvas.height);
+    _paintBase();
+    _hasDrawn = true;
+    document.getElementById('canvasOverlay')?.classList.add('is-hidden');
+  }
+
   return {
     init,
     clear,
+    drawImage,
+    showBoxes,
+    clearBoxes,
+    showHeatmap,
+    clearHeatmap,
+    on,
+    undo,
+    redo,
+    setTool,
+    getTool,
+    replay,
+    toJSON,
+    fromJSON,
+    render,
     get hasDrawn() { return _hasDrawn; },
+    get canUndo()  { return _strokes.length > 0; },
+    get canRedo()  { return _undone.length > 0; },
+    get hasImage() { return !!_base; },
     getCanvas() { return _canvas; },
   };
 
@@ -0,0 +1,147 @@
+/**
+ * js/ui/datasetUI.js
+ * ──────────────────────────────────────
+ * DOM updates for the "My Dataset" panel:
+ * per-digit counts and a grid of saved samples,
+ * each with relabel + delete controls, and the
+ * preprocessing comparison table.
+ * Display only — app.js does the storage calls.
+ */
+
+const DatasetUI = (() => {
+
+  // Thumbnails drawn at once; filter by digit to see the rest
+  const GRID_MAX = 200;
+
+  let _samples = [];
+  let _filter  = null;    // digit, or null for all
+  let _cbs     = {};
+
+  /**
+   * @param {{ onDelete(id), onRelabel(id, label) }} cbs
+   */
+  function init(cbs) {
+    _cbs = cbs;
+
+    document.getElementById('datasetCounts')?.addEventListener('click', e => {
+      const cell = e.target.closest('[data-digit]');
+      if (!cell) return;
+      const d = +cell.dataset.digit;
+      _filter = _filter === d ? null : d;
+      _render();
+    });
+
+    const grid = document.getElementById('datasetGrid');
+    grid?.addEventListener('click', e => {
+      const btn = e.target.closest('.sample__delete');
+      if (btn) _cbs.onDelete?.(+btn.closest('.sample').dataset.id);
+    });
+    grid?.addEventListener('change', e => {
+      const sel = e.target.closest('.sample__label');
+      if (sel) _cbs.onRelabel?.(+sel.closest('.sample').dataset.id, +sel.value);
+    });
+  }
+
+  /** @param {{ id, label, pixels }[]} samples */
+  function show(samples) {
+    _samples = samples;
+    _render();
+  }
+
+  function setStatus(text) {
+    const el = document.getElementById('datasetStatus');
+    if (el) el.textContent = text;
+  }
+
+  /**
+   * Accuracy on the saved samples per preprocessing option,
+   * each compared with the first row (the baseline).
+   * @param {{ name, correct, n }[]} rows
+   */
+  function showComparison(rows) {
+    const table = document.getElementById('datasetCompare');
+    if (!table) return;
+
+    const pct  = r => r.correct / r.n * 100;
+    const base = pct(rows[0]);
+    const head = '<tr><th>Preprocessing</th><th>Correct</th><th>Accuracy</th><th>Δ</th></tr>';
+    const body = rows.map((r, i) => {
+      const delta = pct(r) - base;
+      const cls   = !i || Math.abs(delta) < 0.05 ? '' : delta > 0 ? 'is-better' : 'is-worse';
+      return `
+      <tr>
+        <th>${r.name}</th>
+        <td>${r.correct}/${r.n}</td>
+        <td>${pct(r).toFixed(1)}%</td>
+        <td class="${cls}">${i ? `${delta >= 0 ? '+' : ''}${delta.toFixed(1)}` : '—'}</td>
+      </tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead>${head}</thead><tbody>${body}</tbody>`;
+    table.hidden    = false;
+  }
+
+  /* ── Helpers ─────────────────────────── */
+
+  function _render() {
+    const counts = new Array(10).fill(0);
+    _samples.forEach(s => counts[s.label]++);
+
+    const countsEl = document.getElementById('datasetCounts');
+    if (countsEl) {
+      countsEl.innerHTML = counts.map((n, d) => `
+        <button type="button" class="dataset-count${_filter === d ? ' is-active' : ''}${n ? '' : ' is-empty'}"
+                data-digit="${d}" title="Show only ${d}s">
+          <b>${d}</b><span>${n}</span>
+        </button>`).join('');
+    }
+
+    const total = _samples.length;
+    setStatus(total ? `${total} sample${total === 1 ? '' : 's'}` : 'No samples yet');
+
+    const grid = document.getElementById('datasetGrid');
+    if (!grid) return;
+    const shown = _filter === null ? _samples : _samples.filter(s => s.label === _filter);
+
+    // Newest first
+    grid.innerHTML = '';
+    shown.slice(-GRID_MAX).reverse().forEach(s => grid.appendChild(_item(s)));
+
+    const more = document.getElementById('datasetMore');
+    if (more) {
+      more.hidden      = shown.length <= GRID_MAX;
+      more.textContent = `Showing the newest ${GRID_MAX} of ${shown.length}`;
+    }
+  }
+
+  function _item(s) {
+    const el = document.createElement('div');
+    el.className  = 'sample';
+    el.dataset.id = s.id;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 28;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(28, 28);
+    s.pixels.forEach((v, i) => {
+      img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = v;
+      img.data[i * 4 + 3] = 255;
+    });
+    ctx.putImageData(img, 0, 0);
+    el.appendChild(canvas);
+
+    const row = document.createElement('div');
+    row.className = 'sample__row';
+    row.innerHTML = `
+      <select class="sample__label" aria-label="Label">
+        ${Array.from({ length: 10 }, (_, d) =>
+          `<option value="${d}"${d === s.label ? ' selected' : ''}>${d}</option>`).join('')}
+      </select>
+      <button type="button" class="sample__delete" title="Delete sample" aria-label="Delete sample">×</button>`;
+    el.appendChild(row);
+    return el;
+  }
+
+  return { init, show, setStatus, showComparison };
+
+})();
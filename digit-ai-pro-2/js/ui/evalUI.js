@@ -0,0 +1,197 @@
+/**
+ * js/ui/evalUI.js
+ * ──────────────────────────────────────
+ * DOM updates for the evaluation panel:
+ * summary, colour-coded confusion matrix,
+ * per-digit precision / recall / F1 and a
+ * gallery of misclassified test samples.
+ * Display only — metrics come from MnistModel.evaluate().
+ */
+
+const EvalUI = (() => {
+
+  // Off-diagonal cells are faint at real error rates — boost them
+  const ERR_BOOST = 4;
+
+  // Thumbnails drawn at once; narrow the filters to see the rest
+  const GALLERY_MAX = 120;
+
+  let _mistakes = [];
+  let _onPick   = null;
+
+  /**
+   * Build the gallery filters.
+   * @param {Function} onPick  (canvas28, mistake) — a thumbnail was clicked
+   */
+  function init(onPick) {
+    _onPick = onPick;
+    ['galleryActual', 'galleryPred'].forEach(id => {
+      const sel = document.getElementById(id);
+      if (!sel) return;
+      sel.innerHTML = '<option value="">Any</option>'
+        + Array.from({ length: 10 }, (_, d) => `<option value="${d}">${d}</option>`).join('');
+      sel.addEventListener('change', _renderGallery);
+    });
+
+    // Clicking a confusion-matrix cell filters the gallery to it
+    document.getElementById('evalMatrix')?.addEventListener('click', e => {
+      const cell = e.target.closest('.cm__cell--miss');
+      if (!cell) return;
+      _setFilters(cell.dataset.actual, cell.dataset.pred);
+    });
+  }
+
+  function reset() {
+    _mistakes = [];
+    _setText('evalStatus', 'Not evaluated');
+    _hide('evalSummary', true);
+    _hide('evalBody', true);
+    _hide('evalGallery', true);
+  }
+
+  function setStatus(text) {
+    _setText('evalStatus', text);
+  }
+
+  /**
+   * @param {{ n, accuracy, confusion, perClass, topConfusions, mistakes }} result
+   */
+  function show(result) {
+    const { n, accuracy, confusion, perClass, topConfusions } = result;
+    _mistakes = result.mistakes || [];
+
+    // An imported model doesn't say what it was trained on
+    const { split } = result;
+    _setText('evalStatus', `${n.toLocaleString()} held-out samples` + (split && !split.known
+      ? ` · training split unknown — assumed the first ${split.numTrain.toLocaleString()} are training data`
+      : ''));
+    _setText('evalAcc', `${(accuracy * 100).toFixed(2)}%`);
+    _setText('evalConfusions', topConfusions.length
+      ? 'Most confused: ' + topConfusions
+          .map(c => `${c.actual}→${c.predicted} (${c.count})`)
+          .join(' · ')
+      : 'No mistakes');
+
+    _renderMatrix(confusion, perClass);
+    _renderMetrics(perClass);
+
+    _hide('evalSummary', false);
+    _hide('evalBody', false);
+    _hide('evalGallery', !_mistakes.length);
+    _setFilters('', '');
+  }
+
+  /* ── Helpers ─────────────────────────── */
+
+  function _renderMatrix(confusion, perClass) {
+    const table = document.getElementById('evalMatrix');
+    if (!table) return;
+
+    const head = '<tr><th class="cm__corner" title="actual ↓ / predicted →">A\\P</th>'
+      + confusion.map((_, d) => `<th>${d}</th>`).join('') + '</tr>';
+
+    const rows = confusion.map((row, actual) => {
+      const support = perClass[actual].support || 1;
+      const cells = row.map((count, pred) => {
+        const isHit = actual === pred;
+        const share = count / support;
+        const v     = isHit ? share : Math.min(1, share * ERR_BOOST);
+        const cls   = isHit ? 'cm__cell cm__cell--hit' : count ? 'cm__cell cm__cell--miss' : 'cm__cell';
+        const title = `Actual ${actual} → predicted ${pred}: ${count} (${(share * 100).toFixed(1)}%)`;
+        return `<td class="${cls}" style="--v:${v.toFixed(3)}" title="${title}"`
+          + ` data-actual="${actual}" data-pred="${pred}">${count || ''}</td>`;
+      }).join('');
+      return `<tr><th>${actual}</th>${cells}</tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead>${head}</thead><tbody>${rows}</tbody>`;
+  }
+
+  function _renderMetrics(perClass) {
+    const table = document.getElementById('evalMetrics');
+    if (!table) return;
+
+    const pct  = v => (v * 100).toFixed(1);
+    const head = '<tr><th>Digit</th><th>Precision</th><th>Recall</th><th>F1</th><th>N</th></tr>';
+    const rows = perClass.map(c => `
+      <tr>
+        <th>${c.digit}</th>
+        <td>${pct(c.precision)}</td>
+        <td>${pct(c.recall)}</td>
+        <td class="${c.f1 < 0.95 ? 'is-weak' : ''}">${pct(c.f1)}</td>
+        <td>${c.support}</td>
+      </tr>`).join('');
+
+    table.innerHTML = `<thead>${head}</thead><tbody>${rows}</tbody>`;
+  }
+
+  function _setFilters(actual, pred) {
+    const a = document.getElementById('galleryActual');
+    const p = document.getElementById('galleryPred');
+    if (a) a.value = actual;
+    if (p) p.value = pred;
+    _renderGallery();
+  }
+
+  function _renderGallery() {
+    const grid = document.getElementById('galleryGrid');
+    if (!grid) return;
+
+    const actual = document.getElementById('galleryActual')?.value ?? '';
+    const pred   = document.getElementById('galleryPred')?.value   ?? '';
+    const shown  = _mistakes.filter(m =>
+      (actual === '' || m.actual    === +actual) &&
+      (pred   === '' || m.predicted === +pred));
+
+    grid.innerHTML = '';
+    shown.slice(0, GALLERY_MAX).forEach(m => grid.appendChild(_thumb(m)));
+
+    _setText('galleryCount', shown.length > GALLERY_MAX
+      ? `${GALLERY_MAX} of ${shown.length}`
+      : `${shown.length} sample${shown.length === 1 ? '' : 's'}`);
+  }
+
+  function _thumb(m) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 28;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(28, 28);
+    m.pixels.forEach((v, i) => {
+      img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = v;
+      img.data[i * 4 + 3] = 255;
+    });
+    ctx.putImageData(img, 0, 0);
+
+    const btn = document.createElement('button');
+    btn.type      = 'button';
+    btn.className = 'gallery__item';
+    btn.title     = `Test sample #${m.index} — click to inspect`;
+    btn.appendChild(canvas);
+
+    const label = document.createElement('span');
+    label.className = 'gallery__label';
+    label.innerHTML = `<b>${m.actual}</b> → <em>${m.predicted}</em>`;
+    btn.appendChild(label);
+
+    const probs = document.createElement('span');
+    probs.className   = 'gallery__probs';
+    probs.textContent = m.top3.map(t => `${t.digit}:${Math.round(t.prob * 100)}`).join(' ');
+    btn.appendChild(probs);
+
+    btn.addEventListener('click', () => { if (_onPick) _onPick(canvas, m); });
+    return btn;
+  }
+
+  function _setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  function _hide(id, hidden) {
+    const el = document.getElementById(id);
+    if (el) el.hidden = hidden;
+  }
+
+  return { init, reset, setStatus, show };
+
+})();
@@ -0,0 +1,232 @@
+/**
+ * js/ui/filterUI.js
+ * ──────────────────────────────────────
+ * DOM updates for the "Conv Filters" panel:
+ * every conv layer's feature maps for the current
+ * drawing and its learned kernels, as small heatmaps.
+ * A layer reading several channels shows its kernels
+ * for one input channel at a time, picked from a menu.
+ * Click one to enlarge it with its values.
+ * Display only — app.js passes MnistModel.getFeatureMaps() in.
+ *
+ * Colours are shared per layer and per kind, so a dead
+ * filter looks dark next to its busy neighbours:
+ * positive in --col-positive, negative in --col-negative.
+ */
+
+const FilterUI = (() => {
+
+  const ZOOM      = 280;   // enlarged view, px
+  const VALUE_MAX = 7;     // print values in cells up to this side
+
+  let _layers = [];      // from MnistModel.getFeatureMaps()
+  let _pick   = null;    // { layer, kind: 'map'|'kernel', f }
+  let _hover  = -1;      // hovered cell in the enlarged view
+  let _inCh   = [];      // per layer: input channel whose kernels are shown
+
+  function init() {
+    document.getElementById('filterLayers')?.addEventListener('click', e => {
+      const cell = e.target.closest('.filter-cell');
+      if (!cell) return;
+      _pick  = { layer: +cell.dataset.layer, kind: cell.dataset.kind, f: +cell.dataset.f };
+      _hover = -1;
+      _render();
+    });
+    document.getElementById('filterLayers')?.addEventListener('change', e => {
+      const select = e.target.closest('.filter-layer__channel');
+      if (!select) return;
+      _inCh[+select.dataset.layer] = +select.value;
+      _render();
+    });
+
+    const zoom = document.getElementById('filterZoomCanvas');
+    zoom?.addEventListener('mousemove', e => {
+      const item = _picked();
+      if (!item) return;
+      const r = zoom.getBoundingClientRect();
+      const c = Math.floor((e.clientX - r.left) / r.width  * item.w);
+      const y = Math.floor((e.clientY - r.top)  / r.height * item.h);
+      const i = c >= 0 && c < item.w && y >= 0 && y < item.h ? y * item.w + c : -1;
+      if (i !== _hover) { _hover = i; _drawZoom(); }
+    });
+    zoom?.addEventListener('mouseleave', () => { _hover = -1; _drawZoom(); });
+  }
+
+  function reset() {
+    _layers = [];
+    _hover  = -1;
+    _setText('filterStatus', 'Predict to see feature maps');
+    _hide('filterBody', true);
+  }
+
+  /**
+   * @param {object[]} layers  from MnistModel.getFeatureMaps()
+   * @param {string} [note]    status line, e.g. which digit is shown
+   */
+  function show(layers, note) {
+    _layers = layers;
+    if (!layers.length) {
+      _setText('filterStatus', 'This model has no conv layers');
+      _hide('filterBody', true);
+      return;
+    }
+    // Keep the enlarged item and channel picks across predictions while they still exist
+    _inCh = layers.map((l, li) => (_inCh[li] < l.inChannels ? _inCh[li] : 0));
+    if (_pick && !_picked()) _pick = null;
+
+    _setText('filterStatus', note || `${layers.length} conv layer${layers.length === 1 ? '' : 's'}`);
+    _hide('filterBody', false);
+    _render();
+  }
+
+  /* ── Helpers ─────────────────────────── */
+
+  function _render() {
+    const root = document.getElementById('filterLayers');
+    if (!root) return;
+
+    // Layer names come from the model file, which may be imported
+    root.innerHTML = _layers.map((l, li) => `
+      <div class="filter-layer">
+        <h3 class="filter-layer__title">
+          ${_escape(l.name)} <span>${l.maps.length} filters · ${l.height}×${l.width} maps · ${l.kernelSize.join('×')} kernels</span>
+        </h3>
+        <div class="filter-grid">${l.maps.map((_, f) => _cell(li, 'map', f)).join('')}</div>
+        ${l.inChannels > 1 ? `
+        <label class="filter-layer__kernels">Kernels on input channel
+          <select class="field__input filter-layer__channel" data-layer="${li}">
+            ${Array.from({ length: l.inChannels }, (_, c) =>
+              `<option value="${c}"${c === _inCh[li] ? ' selected' : ''}>${c}</option>`).join('')}
+          </select>
+          <span>of ${l.inChannels}</span>
+        </label>` : ''}
+        <div class="filter-grid filter-grid--kernels">${l.kernels.map((_, f) => _cell(li, 'kernel', f)).join('')}</div>
+      </div>`).join('');
+
+    _layers.forEach((l, li) => {
+      const mapMax    = _absMax(l.maps);
+      const kernelMax = _absMax(l.kernels.flat());
+      root.querySelectorAll(`.filter-cell[data-layer="${li}"]`).forEach(cell => {
+        const isMap = cell.dataset.kind === 'map';
+        const f     = +cell.dataset.f;
+        const c     = cell.querySelector('canvas');
+        _paint(c, isMap ? l.maps[f] : l.kernels[f][_inCh[li]],
+          isMap ? l.width : l.kernelSize[1], isMap ? l.height : l.kernelSize[0],
+          isMap ? mapMax : kernelMax, 1);
+      });
+    });
+
+    _hide('filterZoom', !_pick);
+    _drawZoom();
+  }
+
+  function _cell(layer, kind, f) {
+    const l  = _layers[layer];
+    const [w, h] = kind === 'map' ? [l.width, l.height] : [l.kernelSize[1], l.kernelSize[0]];
+    const on = _pick && _pick.layer === layer && _pick.kind === kind && _pick.f === f;
+    return `
+      <button type="button" class="filter-cell${on ? ' is-selected' : ''}"
+              data-layer="${layer}" data-kind="${kind}" data-f="${f}"
+              title="${kind === 'map' ? 'Feature map' : 'Kernel'} ${f} — click to enlarge">
+        <canvas width="${w}" height="${h}"></canvas>
+        <span>${f}</span>
+      </button>`;
+  }
+
+  /** The enlarged item: its values, size and scale. */
+  function _picked() {
+    const l = _pick && _layers[_pick.layer];
+    if (!l) return null;
+    const isMap  = _pick.kind === 'map';
+    const values = isMap ? l.maps[_pick.f] : l.kernels[_pick.f]?.[_inCh[_pick.layer]];
+    if (!values) return null;
+    return {
+      layer: l, isMap, values,
+      w:   isMap ? l.width  : l.kernelSize[1],
+      h:   isMap ? l.height : l.kernelSize[0],
+      max: _absMax(isMap ? l.maps : l.kernels.flat()),
+    };
+  }
+
+  function _drawZoom() {
+    const c    = document.getElementById('filterZoomCanvas');
+    const item = _picked();
+    if (!c || !item) return;
+    const { layer, isMap, values, w, h, max } = item;
+    const ctx  = c.getContext('2d');
+    const cell = ZOOM / Math.max(w, h);
+
+    _paint(c, values, w, h, max, cell);
+
+    // Small grids print every value; larger ones read out on hover
+    if (Math.max(w, h) <= VALUE_MAX) {
+      ctx.font         = `${Math.round(cell / 4.5)}px ${_color(c, '--font-mono', 'monospace')}`;
+      ctx.textAlign    = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle    = _color(c, '--text-1', '#fff');
+      values.forEach((v, i) =>
+        ctx.fillText(v.toFixed(2), (i % w + 0.5) * cell, (Math.floor(i / w) + 0.5) * cell));
+    }
+
+    let lo = Infinity, hi = -Infinity;
+    values.forEach(v => { lo = Math.min(lo, v); hi = Math.max(hi, v); });
+    _setText('filterZoomCaption', `${layer.name} · ${isMap ? 'feature map' : 'kernel'} ${_pick.f} · `
+      + `${w}×${h}` + (isMap || layer.inChannels === 1 ? '' : ` · input channel ${_inCh[_pick.layer]} of ${layer.inChannels}`));
+
+    if (_hover < 0 || _hover >= values.length) {
+      _setText('filterZoomReadout', `min ${lo.toFixed(3)} · max ${hi.toFixed(3)}`);
+      return;
+    }
+    const row = Math.floor(_hover / w), col = _hover % w;
+    ctx.strokeStyle = _color(c, '--accent', '#00f0ff');
+    ctx.lineWidth   = 2;
+    ctx.strokeRect(col * cell + 1, row * cell + 1, cell - 2, cell - 2);
+    _setText('filterZoomReadout', `row ${row}, col ${col} — ${values[_hover].toFixed(4)}`);
+  }
+
+  /** Fill c with a w × h grid of values, `cell` px per value. */
+  function _paint(c, values, w, h, max, cell) {
+    const ctx = c.getContext('2d');
+    const pos = _color(c, '--col-positive', '#00c8ff');
+    const neg = _color(c, '--col-negative', '#ff3c5a');
+
+    ctx.globalAlpha = 1;
+    ctx.fillStyle   = '#000';
+    ctx.fillRect(0, 0, c.width, c.height);
+    for (let i = 0; i < w * h; i++) {
+      const v = values[i];
+      if (!v) continue;
+      ctx.globalAlpha = Math.min(1, Math.abs(v) / max);
+      ctx.fillStyle   = v > 0 ? pos : neg;
+      ctx.fillRect((i % w) * cell, Math.floor(i / w) * cell, cell, cell);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  function _absMax(arrays) {
+    let max = 0;
+    arrays.forEach(a => a.forEach(v => { max = Math.max(max, Math.abs(v)); }));
+    return max || 1;
+  }
+
+  function _escape(text) {
+    return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+  }
+
+  function _color(el, name, fallback) {
+    return getComputedStyle(el).getPropertyValue(name).trim() || fallback;
+  }
+
+  function _setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  function _hide(id, hidden) {
+    const el = document.getElementById(id);
+    if (el) el.hidden = hidden;
+  }
+
+  return { init, reset, show };
+
+})();
@@ -0,0 +1,155 @@
+/**
+ * js/ui/inspectorUI.js
+ * ──────────────────────────────────────
+ * DOM updates for the "What the Model Sees" panel:
+ * each stage of Preprocessor.inspect() — the canvas
+ * with its ink box, the crop, the 20×20 fit and the
+ * 28×28 input as a zoomed grid with values on hover.
+ * Display only — app.js passes the stages in.
+ */
+
+const InspectorUI = (() => {
+
+  const CELL = 10;    // grid px per input pixel (280 / 28)
+
+  let _pixels = null;   // Uint8Array(784) of the shown input
+  let _dest   = null;   // where the 20×20 fit sits on the 28×28
+  let _hover  = -1;     // hovered pixel index
+
+  function init() {
+    const grid = document.getElementById('inspectGrid');
+    if (!grid) return;
+
+    grid.addEventListener('mousemove', e => {
+      const r = grid.getBoundingClientRect();
+      const c = Math.floor((e.clientX - r.left) / r.width * 28);
+      const y = Math.floor((e.clientY - r.top) / r.height * 28);
+      const i = c >= 0 && c < 28 && y >= 0 && y < 28 ? y * 28 + c : -1;
+      if (i !== _hover) { _hover = i; _drawGrid(); }
+    });
+    grid.addEventListener('mouseleave', () => { _hover = -1; _drawGrid(); });
+  }
+
+  function reset() {
+    _pixels = null;
+    _hover  = -1;
+    _setText('inspectStatus', 'Predict to inspect');
+    const body = document.getElementById('inspectBody');
+    if (body) body.hidden = true;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} src  the drawing that was preprocessed
+   * @param {object} stages          from Preprocessor.inspect() / segment()
+   * @param {string} [note]          status line, e.g. which digit is shown
+   */
+  function show(src, stages, note) {
+    const { box, source, normalised, crop, dest, canvas28 } = stages;
+
+    _drawRaw(src, box);
+    _drawCrop(source, crop);
+    _drawFit(source, crop, dest);
+
+    _pixels = Preprocessor.toPixels(canvas28);
+    _dest   = dest;
+    _drawGrid();
+
+    _setText('inspectCropCaption', `Crop ${Math.round(crop.w)}×${Math.round(crop.h)}`
+      + (normalised ? ' · normalised' : ''));
+    _setText('inspectStatus', note || `Box ${box.x1 - box.x0 + 1}×${box.y1 - box.y0 + 1} px`);
+    const body = document.getElementById('inspectBody');
+    if (body) body.hidden = false;
+  }
+
+  /* ── Helpers ─────────────────────────── */
+
+  function _drawRaw(src, box) {
+    const c   = document.getElementById('inspectRaw');
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const kx  = c.width / src.width, ky = c.height / src.height;
+
+    ctx.drawImage(src, 0, 0, c.width, c.height);
+    ctx.strokeStyle = _color(c, '--accent', '#00f0ff');
+    ctx.lineWidth   = 1;
+    ctx.strokeRect(box.x0 * kx + 0.5, box.y0 * ky + 0.5,
+      (box.x1 - box.x0 + 1) * kx, (box.y1 - box.y0 + 1) * ky);
+  }
+
+  /** The crop, shown whole at its own aspect ratio. */
+  function _drawCrop(source, crop) {
+    const c   = document.getElementById('inspectCrop');
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const k   = Math.min(c.width / crop.w, c.height / crop.h);
+    const w   = crop.w * k, h = crop.h * k;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, c.width, c.height);
+    ctx.drawImage(source, crop.x, crop.y, crop.w, crop.h, (c.width - w) / 2, (c.height - h) / 2, w, h);
+  }
+
+  /** The crop at the size it is drawn into the 28×28, before placing. */
+  function _drawFit(source, crop, dest) {
+    const c   = document.getElementById('inspectFit');
+    if (!c) return;
+    const ctx = c.getContext('2d');
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.drawImage(source, crop.x, crop.y, crop.w, crop.h,
+      (20 - dest.w) / 2, (20 - dest.h) / 2, dest.w, dest.h);
+  }
+
+  function _drawGrid() {
+    const c = document.getElementById('inspectGrid');
+    if (!c || !_pixels) return;
+    const ctx = c.getContext('2d');
+
+    for (let i = 0; i < 784; i++) {
+      const v = _pixels[i];
+      ctx.fillStyle = `rgb(${v},${v},${v})`;
+      ctx.fillRect((i % 28) * CELL, Math.floor(i / 28) * CELL, CELL, CELL);
+    }
+
+    // Faint cell lines
+    ctx.strokeStyle = 'rgba(128,128,128,.15)';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    for (let k = 1; k < 28; k++) {
+      ctx.moveTo(k * CELL + 0.5, 0); ctx.lineTo(k * CELL + 0.5, 28 * CELL);
+      ctx.moveTo(0, k * CELL + 0.5); ctx.lineTo(28 * CELL, k * CELL + 0.5);
+    }
+    ctx.stroke();
+
+    // Where the 20×20 fit landed
+    const accent = _color(c, '--accent', '#00f0ff');
+    ctx.save();
+    ctx.strokeStyle = accent;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(_dest.x * CELL, _dest.y * CELL, _dest.w * CELL, _dest.h * CELL);
+    ctx.restore();
+
+    if (_hover < 0) {
+      _setText('inspectReadout', 'Hover a pixel for its value');
+      return;
+    }
+    const row = Math.floor(_hover / 28), col = _hover % 28, v = _pixels[_hover];
+    ctx.strokeStyle = accent;
+    ctx.lineWidth   = 2;
+    ctx.strokeRect(col * CELL + 1, row * CELL + 1, CELL - 2, CELL - 2);
+    _setText('inspectReadout', `row ${row}, col ${col} — ${(v / 255).toFixed(3)} (${v})`);
+  }
+
+  function _color(el, name, fallback) {
+    return getComputedStyle(el).getPropertyValue(name).trim() || fallback;
+  }
+
+  function _setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  return { init, reset, show };
+
+})();
@@ -31,6 +31,164 @@ const ResultsUI = (() => {
     }
   }
 
+  /* ── Correction control ─────────────── */
+
+  function buildCorrection() {
+    const container = document.getElementById('correctionDigits');
+    if (!container) return;
+    for (let d = 0; d < 10; d++) {
+      const btn = document.createElement('button');
+      btn.type          = 'button';
+      btn.className     = 'correction__digit';
+      btn.dataset.digit = d;
+      btn.textContent   = d;
+      container.appendChild(btn);
+    }
+  }
+
+  /**
+   * Show the "Wrong? It's a …" row for a fresh prediction,
+   * or hide it (predicted === null).
+   */
+  function showCorrection(predicted) {
+    const box = document.getElementById('correction');
+    if (!box) return;
+    box.hidden = predicted === null;
+    document.querySelectorAll('.correction__digit').forEach(btn => {
+      btn.disabled = false;
+      btn.classList.toggle('is-predicted', +btn.dataset.digit === predicted);
+      btn.classList.remove('is-chosen');
+    });
+  }
+
+  /**
+   * Fill the explain row's digit + method menus.
+   * @param {Object<string, string>} methods  key → label
+   */
+  function buildExplain(methods) {
+    const digits = document.getElementById('explainDigit');
+    const select = document.getElementById('explainMethod');
+    if (digits) {
+      digits.innerHTML = Array.from({ length: 10 }, (_, d) =>
+        `<option value="${d}">${d}?</option>`).join('');
+    }
+    if (select) {
+      select.innerHTML = Object.entries(methods).map(([key, label]) =>
+        `<option value="${key}">${label}</option>`).join('');
+    }
+  }
+
+  /**
+   * Show the "Why …?" row for a fresh prediction, asking about
+   * the predicted digit — or hide it (predicted === null).
+   */
+  function showExplain(predicted) {
+    const box = document.getElementById('explain');
+    if (!box) return;
+    box.hidden = predicted === null;
+    const digits = document.getElementById('explainDigit');
+    if (digits && predicted !== null) digits.value = predicted;
+    setOcclusionProgress(0, null);
+    showOcclusion(null);
+    setExplainActive(false);
+  }
+
+  /** Button text + legend for a shown (or hidden) heatmap. */
+  function setExplainActive(active, signed) {
+    _setText('explainBtn', active ? 'Hide heatmap' : 'Show heatmap');
+    const legend = document.getElementById('explainLegend');
+    if (!legend) return;
+    legend.hidden    = !active;
+    legend.innerHTML = signed
+      ? '<span class="is-positive">■</span> raises the score · <span class="is-negative">■</span> lowers it'
+      : 'Brighter = more evidence for this digit';
+  }
+
+  /** Patch / stride inputs only apply to occlusion. */
+  function setExplainMethod(method) {
+    const controls = document.getElementById('occlusionControls');
+    if (controls) controls.hidden = method !== 'occlusion';
+    if (method !== 'occlusion') showOcclusion(null);
+  }
+
+  /**
+   * Progress of the batched occlusion run; total === null hides it.
+   * The row's controls are locked while a run is going.
+   */
+  function setOcclusionProgress(done, total) {
+    const row     = document.getElementById('occlusionProgress');
+    const running = total !== null;
+    if (row) row.hidden = !running;
+    ['explainBtn', 'occlusionPatch', 'occlusionStride'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.disabled = running;
+    });
+    if (!running) return;
+
+    const pct = Math.round(done / total * 100);
+    _setStyle('occlusionFill', 'width', pct + '%');
+    document.getElementById('occlusionBar')?.setAttribute('aria-valuenow', pct);
+    _setText('occlusionPct', pct + '%');
+    _setText('explainBtn', `${done} / ${total} patches…`);
+  }
+
+  /**
+   * The 28×28 input beside its occlusion map — or hide both (result === null).
+   * @param {HTMLCanvasElement} canvas28
+   * @param {{ digit, prob, map, maxDrop, positions }} result  from MnistModel.occlude()
+   */
+  function showOcclusion(canvas28, result) {
+    const view = document.getElementById('occlusionView');
+    if (view) view.hidden = !result;
+    if (!result) return;
+
+    const input = document.getElementById('occlusionInput');
+    input?.getContext('2d').drawImage(canvas28, 0, 0, 28, 28);
+
+    const c = document.getElementById('occlusionMap');
+    if (c) {
+      const ctx = c.getContext('2d');
+      const pos = _color(c, '--col-positive', '#00c8ff');
+      const neg = _color(c, '--col-negative', '#ff3c5a');
+      let max = 0;
+      result.map.forEach(v => { max = Math.max(max, Math.abs(v)); });
+
+      ctx.globalAlpha = 1;
+      ctx.fillStyle   = '#000';
+      ctx.fillRect(0, 0, 28, 28);
+      result.map.forEach((v, i) => {
+        if (!v) return;
+        ctx.globalAlpha = Math.abs(v) / max;
+        ctx.fillStyle   = v > 0 ? pos : neg;
+        ctx.fillRect(i % 28, Math.floor(i / 28), 1, 1);
+      });
+      ctx.globalAlpha = 1;
+      c.title = `${result.positions} patch positions · p(${result.digit}) = ${result.prob.toFixed(3)} unoccluded`;
+    }
+    _setText('occlusionCaption', `Drop in p(${result.digit}) · max ${result.maxDrop.toFixed(3)}`);
+  }
+
+  /** Lock the row once the sample has been stored under `digit`. */
+  function markCorrection(digit) {
+    document.querySelectorAll('.correction__digit').forEach(btn => {
+      btn.disabled = true;
+      btn.classList.toggle('is-chosen', +btn.dataset.digit === digit);
+    });
+  }
+
+  function setCorrectionStatus(text) {
+    _setText('correctionStatus', text);
+  }
+
+  /** Before / after accuracy on the user's own samples. */
+  function showFineTune(before, after, n) {
+    const el = document.getElementById('fineTuneResult');
+    if (!el) return;
+    el.hidden = false;
+    el.innerHTML = `Your ${n} sample${n === 1 ? '' : 's'}: `
+      + `${(before * 100).toFixed(0)}% → <b>${(after * 100).toFixed(0)}%</b> correct`;
+  }
+
   /* ── States ─────────────────────────── */
 
   function reset() {
@@ -63,6 +221,22 @@ const ResultsUI = (() => {
    * @param {{ digit, probs, top5 }} result
    */
   function showResults(result) {
+    document.getElementById('probBars')?.classList.remove('is-live');
+    _paint(result, 40);
+  }
+
+  /**
+   * Update the card in place while drawing — bars glide
+   * to their new widths instead of filling one by one.
+   * @param {{ digit, probs, top5 }} result
+   */
+  function showLive(result) {
+    document.getElementById('probBars')?.classList.add('is-live');
+    _paint(result, 0);
+  }
+
+  /* stagger: ms between bars; 0 updates them all at once */
+  function _paint(result, stagger) {
     const { probs, top5 } = result;
     const winner = top5[0];
 
@@ -90,13 +264,35 @@ const ResultsUI = (() => {
       if (num)  num.className   = `prob-row__digit${isWin ? ' is-winner' : ''}`;
       if (pctEl) pctEl.className = `prob-row__pct${isWin ? ' is-winner' : ''}`;
 
-      setTimeout(() => {
+      const grow = () => {
         if (fill)  fill.style.width  = pct + '%';
         if (pctEl) pctEl.textContent = pct + '%';
-      }, 50 + d * 40);
+      };
+      stagger ? setTimeout(grow, 50 + d * stagger) : grow();
     });
   }
 
+  /**
+   * Show a multi-digit reading, one confidence per digit.
+   * @param {{ digit, pct }[]} digits  left to right
+   */
+  function showNumber(digits) {
+    document.getElementById('resultScan')?.classList.remove('is-active');
+    document.getElementById('resultCard')?.classList.add('is-revealed');
+
+    _setText('resultDigit', digits.map(d => d.digit).join(''));
+
+    const confEl = document.getElementById('resultConf');
+    if (confEl) {
+      confEl.style.color = 'var(--text-2)';
+      confEl.innerHTML = digits.map(d => {
+        const tone = d.pct >= 90 ? 'green' : d.pct >= 60 ? 'accent' : 'amber';
+        return `<span class="digit-conf digit-conf--${tone}">${d.digit} <b>${d.pct}%</b></span>`;
+      }).join('');
+    }
+    _clearBars();
+  }
+
   /* ── Training feedback ──────────────── */
 
   function setStatus(dotClass, text) {
@@ -120,6 +316,24 @@ const ResultsUI = (() => {
     _setText('lossStat',  loss !== null ? `Loss ${loss.toFixed(3)}`        : 'Loss —');
   }
 
+  /**
+   * Show when the saved model was trained and how accurate it was.
+   * @param {{ trainedAt, accuracy, fineTuneSamples? }|null} meta  null hides the row
+   */
+  function setSavedModel(meta) {
+    const row = document.getElementById('savedModel');
+    if (!row) return;
+    row.hidden = !meta;
+    if (!meta) return;
+
+    const when = new Date(meta.trainedAt).toLocaleString(undefined, {
+      dateStyle: 'medium', timeStyle: 'short',
+    });
+    const acc  = meta.accuracy !== null ? `${(meta.accuracy * 100).toFixed(1)}%` : 'accuracy unknown';
+    const tuned = meta.fineTuneSamples ? ` · tuned on ${meta.fineTuneSamples} of yours` : '';
+    _setText('savedModelText', `Saved · ${when} · ${acc}${tuned}`);
+  }
+
   function showError(msg) {
     const conf = document.getElementById('resultConf');
     if (conf) { conf.textContent = msg; conf.style.color = 'var(--col-rose)'; }
@@ -143,11 +357,21 @@ const ResultsUI = (() => {
     if (el) el.textContent = text;
   }
 
+  function _color(el, name, fallback) {
+    return getComputedStyle(el).getPropertyValue(name).trim() || fallback;
+  }
+
   function _setStyle(id, prop, val) {
     const el = document.getElementById(id);
     if (el) el.style[prop] = val;
   }
 
-  return { buildBars, reset, showThinking, showResults, setStatus, setProgress, showError };
+  return {
+    buildBars, reset, showThinking, showResults, showLive, showNumber,
+    setStatus, setProgress, setSavedModel, showError,
+    buildCorrection, showCorrection, markCorrection, setCorrectionStatus, showFineTune,
+    buildExplain, showExplain, setExplainActive, setExplainMethod,
+    setOcclusionProgress, showOcclusion,
+  };
 
 })();
@@ -1,46 +1,108 @@
 /**
  * js/visual/networkRenderer.js
- * TRUE 784 → 16 → 16 → 10 architecture.
+ * Lays out every layer of the chosen model, one column each,
+ * labelled with its real type, output shape and activation.
  *
  * Input layer shown as a live 14×14 pixel preview of your drawing.
- * All 16 hidden nodes and all 10 output nodes drawn as glass spheres.
+ * Units are glass spheres — smaller for layers without weights
+ * (pool, flatten, dropout). A spatial layer gets one sphere per
+ * channel, lit by that feature map's mean; a flat layer one per
+ * unit. Layers wider than MAX_NODES show an evenly spaced sample
+ * of their units, captioned "n of size" above the column.
  *
- * Connection colours:
+ * Connections into conv / dense layers use the trained kernels
+ * from MnistModel.getWeights():
  *   BLUE  = positive weight
  *   RED   = negative weight
- *   Thickness = activation strength
+ *   Thickness = weight × source activation, relative to the
+ *               strongest edge between the same two layers
+ * The input draws one edge per first-layer unit, for its whole
+ * weighted input. Pool, dropout and flatten have no weights: their
+ * fixed wiring (channel → channel, channel → flattened unit) is
+ * drawn in white. Until setWeights() gets real kernels the diagram
+ * is marked untrained and weighted edges are a faint grey.
+ *
+ * Hover a node for its layer, unit and exact activation. Click one
+ * to light up its strongest incoming and outgoing edges (by
+ * |weight × activation|) and dim the rest; click an output node to
+ * pin the path that contributed most to that digit instead — from
+ * the output back to the input, the edge with the largest
+ * contribution at every layer. Click it again to let go.
  */
 
 const NetworkRenderer = (() => {
 
-  const H1  = 16;
-  const H2  = 16;
-  const OUT = 10;
+  const MAX_NODES = 24;
+
+  // Default layout until setLayers() is called
+  const DEFAULT_LAYERS = [
+    { kind: 'flatten', size: 784, shape: [784], activation: null, detail: '' },
+    { kind: 'dense',   size: 16,  shape: [16],  activation: 'relu', detail: '' },
+    { kind: 'dense',   size: 16,  shape: [16],  activation: 'relu', detail: '' },
+    { kind: 'dense',   size: 10,  shape: [10],  activation: 'softmax', detail: '' },
+  ];
+
+  const WEIGHTED  = ['conv', 'dense'];
 
+  const R_PASS    = 3.5;
   const R_HIDDEN  = 5;
   const R_OUTPUT  = 7;
+  const TOP       = 22;   // room for the captions above the columns
+  const BOTTOM    = 72;   // … and the staggered labels below
   const PIX_COLS  = 14;
   const PIX_ROWS  = 14;
   const ANIM_DUR  = 280;
   const LAYER_GAP = 70;
+  const TOP_LINKS = 3;    // edges lit each way around a clicked node
+  const DIM       = 0.15; // alpha of everything else while focused
 
   let _canvas = null;
   let _ctx    = null;
   let _raf    = null;
-  let _h1Nodes  = [];
-  let _h2Nodes  = [];
-  let _outNodes = [];
+  let _spec     = DEFAULT_LAYERS;
+  let _layers   = [];   // [{ ...spec, nodes }] — last is the output
   let _pixels   = [];
+  let _weights  = null; // MnistModel.getWeights(), one per layer
+  let _tooltip  = null;
+  let _focus    = null; // { li, idx } of the clicked node
 
-  function init(canvasId) {
-    _canvas = document.getElementById(canvasId);
-    _ctx    = _canvas.getContext('2d');
+  function init(canvasId, tooltipId) {
+    const first = !_canvas;
+    _canvas  = document.getElementById(canvasId);
+    _ctx     = _canvas.getContext('2d');
+    _tooltip = document.getElementById(tooltipId);
+    if (first) _bindPointer();
     _layout();
     _draw();
     new ResizeObserver(() => { _layout(); _draw(); })
       .observe(_canvas.parentElement);
   }
 
+  /**
+   * Switch to a new layer list — every model layer, output last.
+   * @param {{ kind, size, shape, activation, detail }[]} layers
+   *   as MnistModel.getLayerInfo() / Architectures.describe()
+   */
+  function setLayers(layers) {
+    if (_raf) cancelAnimationFrame(_raf);
+    _spec    = layers && layers.length ? layers : DEFAULT_LAYERS;
+    _weights = null;
+    _focus   = null;
+    if (!_canvas) return;
+    _layout();
+    _draw();
+  }
+
+  /**
+   * Draw edges from trained kernels — call after setLayers().
+   * @param {({ rows, cols, kernel }|null)[]|null} weights
+   *   one per layer (null for layers without weights); null = untrained
+   */
+  function setWeights(weights) {
+    _weights = weights && weights.length === _spec.length ? weights : null;
+    if (_canvas) _draw();
+  }
+
   function _layout() {
     const P = _canvas.parentElement;
     const W = P.clientWidth  || 260;
@@ -48,16 +110,18 @@ const NetworkRenderer = (() => {
     _canvas.width  = W;
     _canvas.height = H;
 
-    const cx = (i) => W * (i + 1) / 5;
-
-    // pixel grid
-    const cellW  = Math.min((W / 5) * 0.85 / PIX_COLS, H * 0.75 / PIX_ROWS, 9);
+    // pixel grid on the left, layer columns spread over the rest
+    const cellW  = Math.min(W * 0.18 / PIX_COLS, H * 0.75 / PIX_ROWS, 9);
     const cellH  = cellW;
     const gridW  = cellW * PIX_COLS;
     const gridH  = cellH * PIX_ROWS;
-    const gx0    = cx(0) - gridW / 2;
+    const gx0    = W * 0.04;
     const gy0    = H / 2 - gridH / 2;
 
+    const n  = _spec.length;
+    const x0 = gx0 + gridW + W * 0.08, x1 = W * 0.94;
+    const cx = (i) => n > 1 ? x0 + (x1 - x0) * i / (n - 1) : (x0 + x1) / 2;
+
     _pixels = [];
     for (let r = 0; r < PIX_ROWS; r++) {
       for (let c = 0; c < PIX_COLS; c++) {
@@ -71,74 +135,272 @@ const NetworkRenderer = (() => {
       }
     }
 
-    _h1Nodes  = _makeNodes(H1,  cx(1), H);
-    _h2Nodes  = _makeNodes(H2,  cx(2), H);
-    _outNodes = _makeNodes(OUT, cx(3), H);
+    _layers = _spec.map((l, i) => ({
+      ...l,
+      x:     cx(i),
+      nodes: _makeNodes(l.size, cx(i), H),
+    }));
   }
 
-  function _makeNodes(count, lx, H) {
-    const gap = H / (count + 1);
+  /* Up to MAX_NODES nodes; idx is the real unit index each one shows */
+  function _makeNodes(size, lx, H) {
+    const count = Math.min(size, MAX_NODES);
+    const gap   = (H - TOP - BOTTOM) / (count + 1);
     return Array.from({ length: count }, (_, i) => ({
-      x: lx, y: gap * (i + 1), act: 0, target: 0, idx: i,
+      x: lx, y: TOP + gap * (i + 1), act: 0, target: 0, value: null,
+      idx: count < size ? Math.round(i * (size - 1) / (count - 1)) : i,
     }));
   }
 
   function _draw() {
     const W = _canvas.width, H = _canvas.height;
+    const focus = _focused();
     _ctx.clearRect(0, 0, W, H);
+
+    _ctx.globalAlpha = focus ? DIM : 1;
     _drawEdges();
     _drawInputGrid();
-    _drawNodes(_h1Nodes,  R_HIDDEN, false);
-    _drawNodes(_h2Nodes,  R_HIDDEN, false);
-    _drawNodes(_outNodes, R_OUTPUT, true);
+    _layers.forEach((l, i) => _drawNodes(l.nodes, _radius(i), i === _layers.length - 1));
+    _ctx.globalAlpha = 1;
+
+    if (focus) {
+      // Untrained edges have no colour of their own — light them white
+      focus.edges.forEach(e => _link(e.kind === 'none' ? { ...e, kind: 'wire' } : e, e.to, 1));
+      _layers.forEach((l, i) => _drawNodes(l.nodes.filter(n => focus.nodes.has(n)),
+        _radius(i), i === _layers.length - 1));
+    }
     _drawLabels(W, H);
   }
 
-  function _drawEdges() {
-    // Input → H1: one line from grid centre per h1 node
-    const midX = _pixels.length ? _pixels[Math.floor(_pixels.length / 2)].x : 0;
-    const midY = _canvas.height / 2;
-    _h1Nodes.forEach((hn, hi) => {
-      if (hn.act < 0.04) {
-        _faintLine(midX, midY, hn.x, hn.y);
-        return;
-      }
-      _edge(midX, midY, hn.x, hn.y, hn.act, hi * 7);
+  function _radius(li) {
+    if (li === _layers.length - 1) return R_OUTPUT;
+    return WEIGHTED.includes(_layers[li].kind) ? R_HIDDEN : R_PASS;
+  }
+
+  /* ── Focus ───────────────────────────── */
+
+  /**
+   * Edges and nodes to light for the clicked node, or null.
+   * @returns {{ edges: { from, to, kind, weight, flow }[], nodes: Set }|null}
+   */
+  function _focused() {
+    const layer = _focus && _layers[_focus.li];
+    const node  = layer && layer.nodes.find(n => n.idx === _focus.idx);
+    if (!node) return null;
+    return _focus.li === _layers.length - 1 ? _trace(_focus.li, node) : _links(_focus.li, node);
+  }
+
+  /** The TOP_LINKS strongest edges into and out of a node. */
+  function _links(li, n) {
+    const rank  = (a, b) => Math.abs(b.flow) - Math.abs(a.flow) || Math.abs(b.weight) - Math.abs(a.weight);
+    const edges = [
+      ..._incoming(li, n).map(e => ({ ...e, to: n })).sort(rank).slice(0, TOP_LINKS),
+      ..._outgoing(li, n).sort(rank).slice(0, TOP_LINKS),
+    ];
+    return { edges, nodes: new Set([n, ...edges.flatMap(e => [e.from, e.to])]) };
+  }
+
+  /** Output back to input: the largest contribution into each node on the way. */
+  function _trace(li, n) {
+    const edges = [], nodes = new Set([n]);
+    for (let l = li; l >= 0; l--) {
+      const best = _incoming(l, n).reduce((b, e) => e.flow > b.flow ? e : b);
+      edges.push({ ...best, to: n });
+      if (!l) break;
+      n = best.from;
+      nodes.add(n);
+    }
+    return { edges, nodes };
+  }
+
+  /* ── Pointer ─────────────────────────── */
+
+  function _bindPointer() {
+    _canvas.addEventListener('mousemove', e => {
+      const hit = _hit(e);
+      _canvas.style.cursor = hit ? 'pointer' : '';
+      _showTooltip(hit);
+    });
+    _canvas.addEventListener('mouseleave', () => _showTooltip(null));
+    _canvas.addEventListener('click', e => {
+      const hit  = _hit(e);
+      const same = hit && _focus && _focus.li === hit.li && _focus.idx === hit.node.idx;
+      _focus = hit && !same ? { li: hit.li, idx: hit.node.idx } : null;
+      _draw();
+      _showTooltip(hit);
     });
+  }
 
-    // H1 → H2
-    _h1Nodes.forEach((fn, fi) => {
-      _h2Nodes.forEach((tn, ti) => {
-        const s = (fn.act + tn.act) / 2;
-        if (s < 0.03) { _faintLine(fn.x, fn.y, tn.x, tn.y); return; }
-        _edge(fn.x, fn.y, tn.x, tn.y, s, fi * 100 + ti);
-      });
+  /** The node under the pointer: { li, node } or null. */
+  function _hit(e) {
+    const r = _canvas.getBoundingClientRect();
+    const x = (e.clientX - r.left) * _canvas.width  / r.width;
+    const y = (e.clientY - r.top)  * _canvas.height / r.height;
+    for (let li = 0; li < _layers.length; li++) {
+      const reach = _radius(li) + 3;
+      const node  = _layers[li].nodes.find(n => Math.hypot(n.x - x, n.y - y) <= reach);
+      if (node) return { li, node };
+    }
+    return null;
+  }
+
+  function _showTooltip(hit) {
+    if (!_tooltip) return;
+    if (!hit) { _tooltip.hidden = true; return; }
+
+    const l      = _layers[hit.li];
+    const n      = hit.node;
+    const output = hit.li === _layers.length - 1;
+    const spatial = l.shape && l.shape.length === 3;
+    const pinned = _focus && _focus.li === hit.li && _focus.idx === n.idx;
+
+    const what  = output ? `digit ${n.idx}` : `${spatial ? 'channel' : 'unit'} ${n.idx} of ${l.size}`;
+    const value = n.value === null ? 'predict to see its activation'
+      : output  ? `probability ${n.value.toFixed(4)}`
+      : spatial ? `mean activation ${n.value.toFixed(4)} over ${l.shape[0]}×${l.shape[1]}`
+      : `activation ${n.value.toFixed(4)}`;
+    const hint  = pinned ? 'click to release'
+      : output ? 'click to trace its strongest path' : 'click for its strongest edges';
+
+    // Names come from the model file, which may be imported — text only
+    const el = (tag, text) => Object.assign(document.createElement(tag), { textContent: text });
+    _tooltip.replaceChildren(
+      el('b', output ? 'OUTPUT' : l.kind.toUpperCase()),
+      l.name ? ` · ${l.name}` : '',
+      el('span', `${what}${l.activation ? ` · ${l.activation}` : ''}`),
+      el('span', value),
+      el('em', hint),
+    );
+
+    // Canvas px → panel px, beside the node
+    const r = _canvas.getBoundingClientRect();
+    const k = r.width / _canvas.width;
+    _tooltip.hidden = false;
+    const left = _canvas.offsetLeft + n.x * k;
+    const flip = left + 12 + _tooltip.offsetWidth > _canvas.offsetLeft + r.width;
+    _tooltip.style.left = `${flip ? left - 12 - _tooltip.offsetWidth : left + 12}px`;
+    _tooltip.style.top  = `${_canvas.offsetTop + n.y * k - 12}px`;
+  }
+
+  function _drawEdges() {
+    _layers.forEach((l, li) => {
+      const links = l.nodes.map(n => _incoming(li, n));
+      const max   = Math.max(0, ...links.flat().map(e => Math.abs(e.flow)));
+      l.nodes.forEach((n, i) => links[i].forEach(e =>
+        _link(e, n, e.kind === 'wire' ? e.flow : max ? Math.abs(e.flow) / max : 0)));
     });
+  }
 
-    // H2 → Output
-    _h2Nodes.forEach((fn, fi) => {
-      _outNodes.forEach((tn, ti) => {
-        const s = (fn.act + tn.act) / 2;
-        if (s < 0.03) { _faintLine(fn.x, fn.y, tn.x, tn.y); return; }
-        _edge(fn.x, fn.y, tn.x, tn.y, s, fi * 100 + ti + 500);
-      });
+  /**
+   * The edges drawn into node n of layer li:
+   *   { from, kind, weight, flow }
+   *   from    a node of layer li − 1, or a point on the input grid
+   *   kind    'weight' (trained kernel), 'wire' (fixed wiring)
+   *           or 'none' (untrained)
+   *   flow    weight × source activation; a wire's source activation
+   *
+   * Conv / dense: one edge per drawn node before — except from the
+   * input, one edge for the unit's whole weighted input (its weight
+   * total for a blank input, to colour it by). Pool, dropout and
+   * flatten: one wire from the unit they read — the same channel,
+   * or for flatten the channel (or input pixel) it came from.
+   */
+  function _incoming(li, n) {
+    const l    = _layers[li];
+    const prev = li ? _layers[li - 1] : null;
+
+    if (!WEIGHTED.includes(l.kind)) {
+      const from = !prev ? (l.kind === 'flatten' ? _pixelOf(n.idx) : { ..._inputPoint(), val: 0 })
+        : _nearest(prev.nodes, l.kind === 'flatten' ? n.idx % prev.size : n.idx);
+      return [{ from, kind: 'wire', weight: null, flow: prev ? from.act : from.val }];
+    }
+
+    const w = _weights && _weights[li];
+    if (!w) {
+      return (prev ? prev.nodes : [_inputPoint()]).map(from => ({ from, kind: 'none', weight: null, flow: 0 }));
+    }
+
+    const { rows, cols, kernel } = w;
+    if (!prev) {
+      const src = _inputActs(rows);
+      let net = 0, total = 0;
+      for (let r = 0; r < rows; r++) {
+        net   += kernel[r * cols + n.idx] * src[r];
+        total += kernel[r * cols + n.idx];
+      }
+      return [{ from: _inputPoint(), kind: 'weight', weight: net || total, flow: net }];
+    }
+    return prev.nodes.map(from => {
+      const weight = kernel[from.idx * cols + n.idx];
+      return { from, kind: 'weight', weight, flow: weight * from.act };
     });
   }
 
+  /** Edges out of node n of layer li — its share of the next layer's inputs. */
+  function _outgoing(li, n) {
+    const next = _layers[li + 1];
+    if (!next) return [];
+    return next.nodes.flatMap(to => _incoming(li + 1, to)
+      .filter(e => e.from === n)
+      .map(e => ({ ...e, to })));
+  }
+
+  /** Draw edge e into node `to`; strength 0–1 sets its width. */
+  function _link(e, to, strength) {
+    if (e.kind === 'weight')    _edge(e.from.x, e.from.y, to.x, to.y, e.weight, strength);
+    else if (e.kind === 'wire') _wire(e.from.x, e.from.y, to.x, to.y, strength);
+    else                        _faintLine(e.from.x, e.from.y, to.x, to.y);
+  }
+
+  /** Grid centre — where whole-input edges start. */
+  function _inputPoint() {
+    const mid = _pixels[Math.floor(_pixels.length / 2)];
+    return { x: mid ? mid.x : 0, y: _canvas.height / 2 };
+  }
+
+  /** The preview cell showing input pixel i of the 28×28. */
+  function _pixelOf(i) {
+    return _pixels[((i / 28 | 0) >> 1) * PIX_COLS + ((i % 28) >> 1)] || { ..._inputPoint(), val: 0 };
+  }
+
+  /** The drawn node showing unit idx, or the closest sampled one. */
+  function _nearest(nodes, idx) {
+    return nodes.reduce((best, n) => Math.abs(n.idx - idx) < Math.abs(best.idx - idx) ? n : best);
+  }
+
+  /**
+   * Activations of the first layer's rows: the 784 input pixels,
+   * read off the 14×14 preview, or the input's mean for a conv.
+   */
+  function _inputActs(rows) {
+    if (rows === 784) return Array.from({ length: 784 }, (_, r) => _pixelOf(r).val);
+    const mean = _pixels.reduce((s, p) => s + p.val, 0) / (_pixels.length || 1);
+    return new Array(rows).fill(mean);
+  }
+
   function _faintLine(x1, y1, x2, y2) {
     _ctx.beginPath(); _ctx.moveTo(x1, y1); _ctx.lineTo(x2, y2);
     _ctx.strokeStyle = 'rgba(255,255,255,0.015)';
     _ctx.lineWidth = 0.25; _ctx.stroke();
   }
 
-  function _edge(x1, y1, x2, y2, strength, seed) {
-    const isPos = (seed * 2654435761 >>> 0) % 3 !== 0;
-    const alpha = 0.04 + strength * 0.6;
+  /* Fixed wiring: white, by source activation (0–1) */
+  function _wire(x1, y1, x2, y2, strength) {
+    const s = Math.max(0, Math.min(1, strength || 0));
+    _ctx.beginPath(); _ctx.moveTo(x1, y1); _ctx.lineTo(x2, y2);
+    _ctx.strokeStyle = `rgba(255,255,255,${0.04 + s * 0.4})`;
+    _ctx.lineWidth   = 0.3 + s * 1.2;
+    _ctx.stroke();
+  }
+
+  /* weight sets the colour, strength (0–1) the width */
+  function _edge(x1, y1, x2, y2, weight, strength) {
+    const alpha = 0.03 + strength * 0.6;
     _ctx.beginPath(); _ctx.moveTo(x1, y1); _ctx.lineTo(x2, y2);
-    _ctx.strokeStyle = isPos
+    _ctx.strokeStyle = weight >= 0
       ? `rgba(0,200,255,${alpha})`
       : `rgba(255,60,90,${alpha})`;
-    _ctx.lineWidth = 0.3 + strength * 1.5;
+    _ctx.lineWidth = 0.25 + strength * 1.75;
     _ctx.stroke();
   }
 
@@ -208,49 +470,98 @@ const NetworkRenderer = (() => {
     }
   }
 
+  /*
+   * Below each column: type, output shape, then kernel / pool
+   * window, dropout rate and activation. Every other column sits
+   * higher so neighbouring labels don't overlap.
+   */
   function _drawLabels(W, H) {
-    const cols   = [W/5*1, W/5*2, W/5*3, W/5*4];
-    const labels = ['INPUT\n784', 'HIDDEN\n16', 'HIDDEN\n16', 'OUTPUT\n10'];
+    const inX    = _pixels.length ? (_pixels[0].x + _pixels[PIX_COLS - 1].x) / 2 : 0;
+    const labels = [{ x: inX, lines: ['INPUT', '28×28', ''] }, ..._layers.map((l, i) => ({
+      x:     l.x,
+      lines: [
+        i === _layers.length - 1 ? 'OUTPUT' : l.kind.toUpperCase(),
+        _shape(l.shape),
+        [l.detail, l.activation].filter(Boolean).join(' '),
+      ],
+    }))];
     _ctx.fillStyle    = 'rgba(255,255,255,.11)';
     _ctx.font         = 'bold 6px "DM Mono",monospace';
     _ctx.textAlign    = 'center';
     _ctx.textBaseline = 'bottom';
-    labels.forEach((lbl, i) => {
-      lbl.split('\n').forEach((line, li, arr) => {
-        _ctx.fillText(line, cols[i], H - 4 - (arr.length - 1 - li) * 10);
+    labels.forEach(({ x, lines }, i) => {
+      const lift = i % 2 ? 30 : 0;
+      lines.forEach((line, li) => {
+        _ctx.fillText(line, x, H - 4 - lift - (lines.length - 1 - li) * 9);
       });
     });
+
+    // Honest about what a column leaves out
+    _ctx.textBaseline = 'bottom';
+    _layers.forEach(l => {
+      const caption = l.nodes.length < l.size ? `${l.nodes.length} of ${l.size}`
+        : l.shape && l.shape.length === 3 ? 'ch. mean' : '';
+      if (caption) _ctx.fillText(caption, l.x, TOP - 4);
+    });
+
+    // Above the input grid, clear of every column
+    if (!_weights && _pixels.length) {
+      const top = _pixels[0].y - _pixels[0].h / 2 - 8;
+      _ctx.fillStyle = 'rgba(255,255,255,.3)';
+      _ctx.font      = 'bold 7px "DM Mono",monospace';
+      _ctx.fillText('UNTRAINED', inX, top - 10);
+      _ctx.fillText('NO WEIGHTS', inX, top);
+    }
+  }
+
+  /* [28, 28, 16] → '28²×16', [784] → '784' */
+  function _shape(shape) {
+    if (!shape) return '';
+    if (shape.length === 3 && shape[0] === shape[1]) return `${shape[0]}²×${shape[2]}`;
+    return shape.join('×');
   }
 
   /**
    * Animate with real activation data.
-   * @param {{ inputPixels, h1Acts, h2Acts, outActs }} data
+   * @param {{ inputPixels, layerActs }} data
+   *   layerActs[i] holds one raw value per unit of setLayers()[i];
+   *   hidden layers are lit relative to their largest, the output
+   *   by its probability
    * @param {Function} onDone
    */
-  function animate({ inputPixels, h1Acts, h2Acts, outActs }, onDone) {
+  function animate({ inputPixels, layerActs }, onDone) {
     if (_raf) cancelAnimationFrame(_raf);
 
     if (inputPixels) _pixels.forEach((p, i) => { p.val = inputPixels[i] ?? 0; });
 
-    const layers = [
-      { nodes: _h1Nodes,  targets: h1Acts  || [] },
-      { nodes: _h2Nodes,  targets: h2Acts  || [] },
-      { nodes: _outNodes, targets: outActs || [] },
-    ];
+    // Layers without weights pass through at double speed
+    const layers = _layers.map((l, i) => {
+      const values = (layerActs && layerActs[i]) || [];
+      const max    = i === _layers.length - 1 ? 1 : values.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+      return {
+        nodes:  l.nodes,
+        values,
+        scale:  max || 1,
+        pace:   WEIGHTED.includes(l.kind) ? 1 : 0.5,
+      };
+    });
 
     let li = 0;
     function nextLayer() {
       if (li >= layers.length) { if (onDone) onDone(); return; }
-      const { nodes, targets } = layers[li];
-      nodes.forEach((n, i) => { n.target = Math.min(targets[i] ?? 0, 1); });
+      const { nodes, values, scale, pace } = layers[li];
+      nodes.forEach(n => {
+        n.value  = values[n.idx] ?? null;
+        n.target = Math.min((n.value ?? 0) / scale, 1);
+      });
       const start = performance.now();
       function step(now) {
-        const t    = Math.min((now - start) / ANIM_DUR, 1);
+        const t    = Math.min((now - start) / (ANIM_DUR * pace), 1);
         const ease = 1 - Math.pow(1 - t, 3);
         nodes.forEach(n => { n.act += (n.target - n.act) * ease; });
         _draw();
         if (t < 1) { _raf = requestAnimationFrame(step); }
-        else { li++; setTimeout(nextLayer, LAYER_GAP); }
+        else { li++; setTimeout(nextLayer, LAYER_GAP * pace); }
       }
       _raf = requestAnimationFrame(step);
     }
@@ -259,10 +570,10 @@ const NetworkRenderer = (() => {
 
   function reset() {
     if (_raf) cancelAnimationFrame(_raf);
-    [..._h1Nodes, ..._h2Nodes, ..._outNodes].forEach(n => { n.act = 0; n.target = 0; });
+    _layers.forEach(l => l.nodes.forEach(n => { n.act = 0; n.target = 0; n.value = null; }));
     _pixels.forEach(p => { p.val = 0; });
     _draw();
   }
 
-  return { init, animate, reset };
+  return { init, setLayers, setWeights, animate, reset };
 })();
@@ -0,0 +1,232 @@
+/**
+ * js/visual/trainChart.js
+ * Live training curves for the train panel.
+ *
+ * x axis: epochs (fractional within an epoch)
+ * Left axis:  loss           Right axis: accuracy 0–100%
+ *
+ *   Train loss / accuracy — one point per batch, drawn faint raw
+ *                           with a smoothed line on top
+ *   Val loss / accuracy   — one point per epoch
+ *
+ * The curves stay until the next run starts, so a val accuracy
+ * that flattens while train accuracy keeps climbing (overfitting)
+ * is easy to spot afterwards. Hover for exact values.
+ */
+
+const TrainChart = (() => {
+
+  const PAD    = { l: 34, r: 34, t: 8, b: 18 };
+  const SMOOTH = 0.9;     // EMA factor for the batch curves
+
+  let _canvas  = null;
+  let _ctx     = null;
+  let _readout = null;
+  let _raf     = null;
+  let _hover   = null;    // x in epochs, or null
+
+  let _epochs  = 1;       // x axis extent
+  let _batches = [];      // { x, epoch, batch, steps, loss, acc, sLoss, sAcc }
+  let _vals    = [];      // { x, epoch, valAcc, valLoss }
+  let _maxLoss = 0;
+
+  function init(canvasId, readoutId) {
+    _canvas  = document.getElementById(canvasId);
+    _ctx     = _canvas.getContext('2d');
+    _readout = document.getElementById(readoutId);
+
+    _canvas.addEventListener('mousemove', e => {
+      const r = _canvas.getBoundingClientRect();
+      _hover  = _toEpoch(e.clientX - r.left, r.width);
+      _schedule();
+    });
+    _canvas.addEventListener('mouseleave', () => { _hover = null; _schedule(); });
+
+    new ResizeObserver(_schedule).observe(_canvas.parentElement);
+  }
+
+  /** Clear the curves for a new run of `epochs` epochs. */
+  function reset(epochs) {
+    _epochs  = Math.max(1, epochs || 1);
+    _batches = [];
+    _vals    = [];
+    _maxLoss = 0;
+    _hover   = null;
+    _schedule();
+  }
+
+  function addBatch(epoch, batch, steps, loss, acc) {
+    const x = epoch - 1 + batch / steps;
+
+    // A pause mid-epoch leaves that epoch uncounted and a resume
+    // restarts it: its new batches replace the partial ones
+    while (_batches.length && _batches[_batches.length - 1].x >= x) _batches.pop();
+
+    const prev = _batches[_batches.length - 1];
+    _batches.push({
+      x, epoch, batch, steps, loss, acc,
+      sLoss: prev ? prev.sLoss * SMOOTH + loss * (1 - SMOOTH) : loss,
+      sAcc:  prev ? prev.sAcc  * SMOOTH + acc  * (1 - SMOOTH) : acc,
+    });
+    _epochs  = Math.max(_epochs, Math.ceil(x));
+    _maxLoss = Math.max(_maxLoss, loss);
+    _schedule();
+  }
+
+  function addEpoch(epoch, valAcc, valLoss) {
+    _vals = _vals.filter(v => v.epoch < epoch);
+    _vals.push({ x: epoch, epoch, valAcc, valLoss });
+    _maxLoss = Math.max(_maxLoss, valLoss);
+    _schedule();
+  }
+
+  /* ── Drawing ─────────────────────────────── */
+
+  function _schedule() {
+    if (!_canvas || _raf) return;
+    _raf = requestAnimationFrame(() => { _raf = null; _draw(); });
+  }
+
+  function _draw() {
+    const dpr = window.devicePixelRatio || 1;
+    const W   = _canvas.clientWidth, H = _canvas.clientHeight;
+    if (!W || !H) return;
+    _canvas.width  = W * dpr;
+    _canvas.height = H * dpr;
+    _ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    _ctx.clearRect(0, 0, W, H);
+
+    const css  = getComputedStyle(_canvas);
+    const col  = name => css.getPropertyValue(name).trim();
+    const font = col('--font-mono') || 'monospace';
+
+    const maxLoss = _niceMax(_maxLoss);
+    const x  = v => PAD.l + (v / _epochs) * (W - PAD.l - PAD.r);
+    const yL = v => PAD.t + (1 - v / maxLoss) * (H - PAD.t - PAD.b);
+    const yA = v => PAD.t + (1 - v) * (H - PAD.t - PAD.b);
+
+    _drawAxes(W, H, x, maxLoss, col, font);
+
+    const rose = col('--col-rose'), accent = col('--accent');
+    const step = Math.max(1, Math.floor(_batches.length / (W - PAD.l - PAD.r)));
+
+    _line(_batches, b => x(b.x), b => yL(b.loss),  rose,   0.25, 1, step);
+    _line(_batches, b => x(b.x), b => yA(b.acc),   accent, 0.25, 1, step);
+    _line(_batches, b => x(b.x), b => yL(b.sLoss), rose,   1, 1.5, step);
+    _line(_batches, b => x(b.x), b => yA(b.sAcc),  accent, 1, 1.5, step);
+
+    const green = col('--col-green'), amber = col('--col-amber');
+    _line(_vals, v => x(v.x), v => yL(v.valLoss), amber, 1, 1.5, 1, true);
+    _line(_vals, v => x(v.x), v => yA(v.valAcc),  green, 1, 1.5, 1, true);
+
+    _drawHover(W, H, x, yL, yA, col);
+  }
+
+  function _drawAxes(W, H, x, maxLoss, col, font) {
+    _ctx.font         = `9px ${font}`;
+    _ctx.lineWidth    = 1;
+    _ctx.strokeStyle  = col('--glass-border') || 'rgba(255,255,255,.08)';
+    _ctx.fillStyle    = col('--text-2');
+    _ctx.textBaseline = 'middle';
+
+    // Horizontal grid: 0, 25, 50, 75, 100% — loss ticks share the lines
+    for (let i = 0; i <= 4; i++) {
+      const y = PAD.t + (i / 4) * (H - PAD.t - PAD.b);
+      _ctx.beginPath(); _ctx.moveTo(PAD.l, y); _ctx.lineTo(W - PAD.r, y); _ctx.stroke();
+      _ctx.textAlign = 'right';
+      _ctx.fillText(_fmtLoss(maxLoss * (1 - i / 4)), PAD.l - 4, y);
+      _ctx.textAlign = 'left';
+      _ctx.fillText(`${100 - i * 25}%`, W - PAD.r + 4, y);
+    }
+
+    // Epoch ticks
+    const every = Math.ceil(_epochs / 10);
+    _ctx.textAlign    = 'center';
+    _ctx.textBaseline = 'top';
+    for (let e = 0; e <= _epochs; e += every) {
+      _ctx.fillText(String(e), x(e), H - PAD.b + 4);
+    }
+  }
+
+  function _line(points, px, py, color, alpha, width, step, dots) {
+    if (!points.length) return;
+    _ctx.save();
+    _ctx.globalAlpha = alpha;
+    _ctx.strokeStyle = _ctx.fillStyle = color;
+    _ctx.lineWidth   = width;
+    _ctx.beginPath();
+    for (let i = 0; i < points.length; i += step) {
+      const p = points[i];
+      i ? _ctx.lineTo(px(p), py(p)) : _ctx.moveTo(px(p), py(p));
+    }
+    const last = points[points.length - 1];
+    _ctx.lineTo(px(last), py(last));
+    _ctx.stroke();
+    if (dots) {
+      points.forEach(p => {
+        _ctx.beginPath(); _ctx.arc(px(p), py(p), 2.5, 0, Math.PI * 2); _ctx.fill();
+      });
+    }
+    _ctx.restore();
+  }
+
+  function _drawHover(W, H, x, yL, yA, col) {
+    const b = _hover !== null ? _nearest(_hover) : _batches[_batches.length - 1];
+    if (!b) {
+      _setReadout('');
+      return;
+    }
+    const v = _vals.find(e => e.epoch === b.epoch);
+    _setReadout(
+      `Epoch ${b.epoch} · batch ${b.batch}/${b.steps}  `
+      + `loss ${b.loss.toFixed(3)}  acc ${(b.acc * 100).toFixed(1)}%`
+      + (v ? `  │  val loss ${v.valLoss.toFixed(3)}  val acc ${(v.valAcc * 100).toFixed(1)}%` : ''));
+
+    if (_hover === null) return;
+    _ctx.save();
+    _ctx.strokeStyle = col('--text-2');
+    _ctx.setLineDash([3, 3]);
+    _ctx.beginPath(); _ctx.moveTo(x(b.x), PAD.t); _ctx.lineTo(x(b.x), H - PAD.b); _ctx.stroke();
+    _ctx.setLineDash([]);
+    [[yL(b.loss), col('--col-rose')], [yA(b.acc), col('--accent')]].forEach(([y, c]) => {
+      _ctx.fillStyle = c;
+      _ctx.beginPath(); _ctx.arc(x(b.x), y, 3, 0, Math.PI * 2); _ctx.fill();
+    });
+    _ctx.restore();
+  }
+
+  /* ── Helpers ─────────────────────────────── */
+
+  function _toEpoch(px, W) {
+    const v = (px - PAD.l) / (W - PAD.l - PAD.r) * _epochs;
+    return Math.min(_epochs, Math.max(0, v));
+  }
+
+  /** Batch point closest to x (binary search — x is increasing). */
+  function _nearest(x) {
+    if (!_batches.length) return null;
+    let lo = 0, hi = _batches.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (_batches[mid].x < x) lo = mid + 1; else hi = mid;
+    }
+    const prev = _batches[lo - 1];
+    return prev && x - prev.x < _batches[lo].x - x ? prev : _batches[lo];
+  }
+
+  function _niceMax(v) {
+    const steps = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+    return steps.find(s => s >= v) ?? Math.ceil(v);
+  }
+
+  function _fmtLoss(v) {
+    return v >= 1 ? v.toFixed(1) : v.toFixed(2);
+  }
+
+  function _setReadout(text) {
+    if (_readout) _readout.textContent = text;
+  }
+
+  return { init, reset, addBatch, addEpoch };
+
+})();